@@ -36,7 +36,21 @@ import behaviorConfig from "../../config/behaviorconfig.json"
  *    "selectImage": false,       // Whether to show a "Select..." button in the Insert Image dialog
  *    "insertLink": false,        // Whether to defer to the MarkupDelegate rather than use the default LinkDialog
  *    "insertImage": false,       // Whether to defer to the MarkupDelagate rather than use the default ImageDialog
- *    "highlightCode": true       // Whether to highlight code blocks and support language identificaton in UI
+ *    "highlightCode": true,      // Whether to highlight code blocks and support language identificaton in UI
+ *    "pasteTableHeader": false,  // Whether the first row of pasted TSV, CSV, or spreadsheet data becomes the table header
+ *    "pasteCSV": false,          // Whether pasted plain text of comma-separated values becomes a table, like TSV does
+ *    "smartTypography": false,   // Whether typing quotes, --, ---, ..., (c), and 1/2 produces curly quotes, dashes, …, ©, and ½
+ *    "slashMenu": false,         // Whether typing "/" in an empty paragraph shows a menu of the toolbar's block commands
+ *    "autolink": null,           // Whether to link URLs and email addresses when typed or pasted, null to never link them, or e.g.
+ *                                // {"protocols": ["http", "https", "mailto"]} with "https" for "www." and "mailto" for email addresses
+ *    "inputRules": {             // Whether typing the Markdown for each of these applies it, undone by Backspace or undo right after
+ *      "bold": false,            // `**bold**` or `__bold__`
+ *      "italic": false,          // `*italic*` or `_italic_`
+ *      "code": false,            // `` `code` ``
+ *      "strikethrough": false,   // `~~strikethrough~~`
+ *      "link": false,            // `[text](url)` or `[text](url "title")`
+ *      "image": false            // `![alt](src)`
+ *    }
  * }
  * ```
  */
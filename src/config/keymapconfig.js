@@ -50,8 +50,15 @@ import keymapConfig from "../../config/keymapconfig.json"
  *    // Stylebar
  *    "bullet": Ctrl-u",
  *    "number": "Ctrl-o",
+ *    "checklist": "Mod-Shift-9",
  *    "indent": ["Mod-]", "Ctrl-q"],
  *    "outdent": ["Mod-[", "Shift-Ctrl-q"],
+ *    // Move the block, list item, or table row up or down
+ *    "moveUp": "Alt-ArrowUp",
+ *    "moveDown": "Alt-ArrowDown",
+ *    // Table column width
+ *    "widenColumn": "Alt-Shift-.",
+ *    "narrowColumn": "Alt-Shift-,",
  *    // Format
  *    "bold": "Mod-b",
  *    "italic": "Mod-i",
@@ -61,7 +68,9 @@ import keymapConfig from "../../config/keymapconfig.json"
  *    "subscript": "Ctrl-Mod--",
  *    "superscript": "Ctrl-Mod-+",
  *    // Search
- *    "search": "Ctrl-f"
+ *    "search": "Ctrl-f",
+ *    // Command palette
+ *    "palette": "Mod-Shift-p"
  * }
  * ```
  */
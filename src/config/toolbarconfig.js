@@ -39,7 +39,8 @@ import toolbarConfig from "../../config/toolbarconfig.json"
  *     "correctionBar": true,    // Whether the correction bar (undo/redo) is visible
  *     "insertBar": true,        // Whether the insert bar (link, image, table) is visible
  *     "styleMenu": true,        // Whether the style menu (p, h1-h6, code) is visible
- *     "styleBar": true,         // Whether the style bar (bullet/numbered lists) is visible
+ *     "styleBar": true,         // Whether the style bar (bullet/numbered/check lists) is visible
+ *     "alignBar": true,         // Whether the align bar (left, center, right, justify) is visible
  *     "formatBar": true,        // Whether the format bar (b, i, u, etc) is visible
  *     "search": true            // Whether the search item (hide/show search bar) is visible
  *   },
@@ -47,20 +48,31 @@ import toolbarConfig from "../../config/toolbarconfig.json"
  *     "correctionBar": 10,      // Correction bar order if it is visible
  *     "insertBar": 20,          // Insert bar (link, image, table) order if it is visible
  *     "styleMenu": 30,          // Style menu (p, h1-h6, code) order if it is visible
- *     "styleBar": 40,           // Style bar (bullet/numbered lists) order if it is visible
+ *     "styleBar": 40,           // Style bar (bullet/numbered/check lists) order if it is visible
+ *     "alignBar": 45,           // Align bar (left, center, right, justify) order if it is visible
  *     "formatBar": 50,          // Format bar (b, i, u, etc) order if it is visible
  *     "search": 60              // Search item (hide/show search bar) order if it is visible
  *   },
  *   "menus": {
  *     "styleName": true         // Whether to show the style name or just use a paragraph symbol
- *     "tableHeader": true,      // Whether the "Header" item is visible in the "Table->Add" menu
- *     "tableBorder": true       // Whether the "Border" item is visible in the "Table" menu
+ *     "tableHeader": true,      // Whether the "Header" item is visible in the "Table->Add" menu, and "Header column" in the "Table" menu
+ *     "tableCaption": true,     // Whether the "Caption" item is visible in the "Table" menu
+ *     "tableBorder": true,      // Whether the "Border" item is visible in the "Table" menu
+ *     "tableCellFormat": true   // Whether the "Format" item for cell background and alignment is visible in the "Table" menu
  *   },
  *   "insertBar": {
  *     "link": true,             // Whether the link menu item is visible
  *     "image": true,            // Whether the image menu item is visible
  *     "tableMenu": true,        // Whether the table menu is visible
- *     "hRule": true             // Whether the horizontal rule menu item is visible
+ *     "hRule": true,            // Whether the horizontal rule menu item is visible
+ *     "details": true,          // Whether the collapsible section (details) menu item is visible
+ *     "callout": true           // Whether the callout menu is visible
+ *   },
+ *   "calloutMenu": {            // The kinds of callout offered, with their labels, which are also used as classes
+ *     "note": "Note",           // The label in the menu for a "callout-note" callout
+ *     "tip": "Tip",             // The label in the menu for a "callout-tip" callout
+ *     "warning": "Warning",     // The label in the menu for a "callout-warning" callout
+ *     "danger": "Danger"        // The label in the menu for a "callout-danger" callout
  *   },
  *   "formatBar": {
  *     "bold": true,             // Whether the bold menu item is visible
@@ -69,7 +81,9 @@ import toolbarConfig from "../../config/toolbarconfig.json"
  *     "code": true,             // Whether the code menu item is visible
  *     "strikethrough": true,    // Whether the strikethrough menu item is visible
  *     "subscript": true,        // Whether the subscript menu item is visible
- *     "superscript": true       // Whether the superscript menu item is visible
+ *     "superscript": true,      // Whether the superscript menu item is visible
+ *     "highlight": true,        // Whether the highlight color palette is visible
+ *     "color": true             // Whether the text color palette is visible
  *   },
  *   "styleMenu": {
  *     "p": "Body",              // The label in the menu for "P" style
@@ -83,8 +97,17 @@ import toolbarConfig from "../../config/toolbarconfig.json"
  *   },
  *   "styleBar": {
  *     "list": true,             // Whether bullet and numbered list items are visible
+ *     "listProperties": true,   // Whether the list start and style menu is visible with the list items
+ *     "checklist": true,        // Whether the checklist (aka task list) item is visible
+ *     "definitionList": true,   // Whether the definition list item is visible
  *     "dent": true              // Whether indent and outdent items are visible
  *   },
+ *   "alignBar": {
+ *     "left": true,             // Whether the align left menu item is visible
+ *     "center": true,           // Whether the align center menu item is visible
+ *     "right": true,            // Whether the align right menu item is visible
+ *     "justify": true           // Whether the justify menu item is visible
+ *   },
  *   "augmentation": {
  *     "prepend": null,          // Name of a registered array of cmdItems to prepend
  *     "append": null            // Name of a registered array of cmdItems to append
@@ -98,6 +121,30 @@ import toolbarConfig from "../../config/toolbarconfig.json"
  *     "buttonSize": "28px",                                                                            // Side length of rounded square buttons, height otherwise
  *     "buttonFontSize": "24px"                                                                         // Font size inside of buttons/menus
  *   },
+ *   "palettes": {               // Named colors in the highlight, text color, and cell background palettes, applied for the current color scheme
+ *     "highlight": {
+ *       "Yellow": { "light": "#fff59d", "dark": "#827717" },
+ *       "Green":  { "light": "#c8e6c9", "dark": "#2e7d32" },
+ *       "Blue":   { "light": "#bbdefb", "dark": "#1565c0" },
+ *       "Pink":   { "light": "#f8bbd0", "dark": "#ad1457" },
+ *       "Orange": { "light": "#ffe0b2", "dark": "#e65100" }
+ *     },
+ *     "color": {
+ *       "Red":    { "light": "#d32f2f", "dark": "#ef9a9a" },
+ *       "Orange": { "light": "#e65100", "dark": "#ffb74d" },
+ *       "Green":  { "light": "#2e7d32", "dark": "#a5d6a7" },
+ *       "Blue":   { "light": "#1565c0", "dark": "#90caf9" },
+ *       "Purple": { "light": "#6a1b9a", "dark": "#ce93d8" },
+ *       "Gray":   { "light": "#616161", "dark": "#bdbdbd" }
+ *     },
+ *     "cellBackground": {
+ *       "Gray":   { "light": "#eeeeee", "dark": "#424242" },
+ *       "Yellow": { "light": "#fff9c4", "dark": "#5d4c00" },
+ *       "Green":  { "light": "#e8f5e9", "dark": "#1b3d1f" },
+ *       "Blue":   { "light": "#e3f2fd", "dark": "#0d2a4a" },
+ *       "Red":    { "light": "#ffebee", "dark": "#4a1414" }
+ *     }
+ *   },
  *   "icons": {                  // Outlined 400 weight versions from https://fonts.google.com/icons
  *     // undo
  *     "undo": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 0 24 24\" width=\"24px\"><path d=\"M0 0h24v24H0V0z\" fill=\"none\"/><path d=\"M12.5 8c-2.65 0-5.05.99-6.9 2.6L2 7v9h9l-3.62-3.62c1.39-1.16 3.16-1.88 5.12-1.88 3.54 0 6.55 2.31 7.6 5.5l2.37-.78C21.08 11.03 17.15 8 12.5 8z\"/></svg>",
@@ -117,6 +164,10 @@ import toolbarConfig from "../../config/toolbarconfig.json"
  *     "sub": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M760-160v-80q0-17 11.5-28.5T800-280h80v-40H760v-40h120q17 0 28.5 11.5T920-320v40q0 17-11.5 28.5T880-240h-80v40h120v40H760Zm-525-80 185-291-172-269h106l124 200h4l123-200h107L539-531l186 291H618L482-457h-4L342-240H235Z\"/></svg>",
  *     // superscript
  *     "sup": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M760-600v-80q0-17 11.5-28.5T800-720h80v-40H760v-40h120q17 0 28.5 11.5T920-760v40q0 17-11.5 28.5T880-680h-80v40h120v40H760ZM235-160l185-291-172-269h106l124 200h4l123-200h107L539-451l186 291H618L482-377h-4L342-160H235Z\"/></svg>",
+ *     // ink_highlighter
+ *     "highlight": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M80 0v-160h800V0H80Zm504-480L480-584 320-424l103 104 161-160Zm-47-160 103 103 160-159-104-104-159 160Zm-84-29 216 216-189 190q-24 24-56.5 24T367-263l-27 23H140l126-125q-24-24-25-57.5t23-57.5l189-189Zm0 0 187-187q24-24 56.5-24t56.5 24l104 103q24 24 24 56.5T857-599L669-453 453-669Z\"/></svg>",
+ *     // format_color_text
+ *     "textColor": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M80 0v-160h800V0H80Zm140-280 210-560h100l210 560h-96l-50-144H368l-52 144h-96Zm176-224h168l-82-232h-4l-82 232Z\"/></svg>",
  *     // link
  *     "link": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 0 24 24\" width=\"24px\"><path d=\"M0 0h24v24H0V0z\" fill=\"none\"/><path d=\"M17 7h-4v2h4c1.65 0 3 1.35 3 3s-1.35 3-3 3h-4v2h4c2.76 0 5-2.24 5-5s-2.24-5-5-5zm-6 8H7c-1.65 0-3-1.35-3-3s1.35-3 3-3h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-2zm-3-4h8v2H8z\"/></svg>",
  *     // image
@@ -127,10 +178,27 @@ import toolbarConfig from "../../config/toolbarconfig.json"
  *     "bulletList": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M360-200v-80h480v80H360Zm0-240v-80h480v80H360Zm0-240v-80h480v80H360ZM200-160q-33 0-56.5-23.5T120-240q0-33 23.5-56.5T200-320q33 0 56.5 23.5T280-240q0 33-23.5 56.5T200-160Zm0-240q-33 0-56.5-23.5T120-480q0-33 23.5-56.5T200-560q33 0 56.5 23.5T280-480q0 33-23.5 56.5T200-400Zm0-240q-33 0-56.5-23.5T120-720q0-33 23.5-56.5T200-800q33 0 56.5 23.5T280-720q0 33-23.5 56.5T200-640Z\"/></svg>",
  *     // format_list_numbered
  *     "orderedList": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-80v-60h100v-30h-60v-60h60v-30H120v-60h120q17 0 28.5 11.5T280-280v40q0 17-11.5 28.5T240-200q17 0 28.5 11.5T280-160v40q0 17-11.5 28.5T240-80H120Zm0-280v-110q0-17 11.5-28.5T160-510h60v-30H120v-60h120q17 0 28.5 11.5T280-560v70q0 17-11.5 28.5T240-450h-60v30h100v60H120Zm60-280v-180h-60v-60h120v240h-60Zm180 440v-80h480v80H360Zm0-240v-80h480v80H360Zm0-240v-80h480v80H360Z\"/></svg>",
+ *     // tune
+ *     "listProperties": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M440-120v-240h80v80h320v80H520v80h-80Zm-320-80v-80h240v80H120Zm160-160v-80H120v-80h160v-80h80v240h-80Zm160-80v-80h400v80H440Zm160-160v-240h80v80h160v80H680v80h-80Zm-480-80v-80h400v80H120Z\"/></svg>",
+ *     // checklist
+ *     "taskList": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M222-200 80-342l56-56 85 85 170-170 56 57-225 226Zm0-320L80-662l56-56 85 85 170-170 56 57-225 226Zm298 240v-80h360v80H520Zm0-320v-80h360v80H520Z\"/></svg>",
  *     // format_indent_increase
  *     "blockquote": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-120v-80h720v80H120Zm320-160v-80h400v80H440Zm0-160v-80h400v80H440Zm0-160v-80h400v80H440ZM120-760v-80h720v80H120Zm0 440v-320l160 160-160 160Z\"/></svg>",
  *     // format_indent_decrease
  *     "lift": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-120v-80h720v80H120Zm320-160v-80h400v80H440Zm0-160v-80h400v80H440Zm0-160v-80h400v80H440ZM120-760v-80h720v80H120Zm160 440L120-480l160-160v320Z\"/></svg>",
+ *     // format_align_left
+ *     "alignLeft": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-120v-80h720v80H120Zm0-160v-80h480v80H120Zm0-160v-80h720v80H120Zm0-160v-80h480v80H120Zm0-160v-80h720v80H120Z\"/></svg>",
+ *     // format_align_center
+ *     "alignCenter": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-120v-80h720v80H120Zm160-160v-80h400v80H280ZM120-440v-80h720v80H120Zm160-160v-80h400v80H280ZM120-760v-80h720v80H120Z\"/></svg>",
+ *     // format_align_right
+ *     "alignRight": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-760v-80h720v80H120Zm240 160v-80h480v80H360ZM120-440v-80h720v80H120Zm240 160v-80h480v80H360ZM120-120v-80h720v80H120Z\"/></svg>",
+ *     // format_align_justify
+ *     "alignJustify": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-120v-80h720v80H120Zm0-160v-80h720v80H120Zm0-160v-80h720v80H120Zm0-160v-80h720v80H120Zm0-160v-80h720v80H120Z\"/></svg>",
+ *     // custom, for image alignment
+ *     "imageInline": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-760v-80h720v80H120Zm0 640v-80h720v80H120Zm240-240v-240h240v240H360ZM120-440v-80h200v80H120Zm520 0v-80h200v80H640Z\"/></svg>",
+ *     "imageLeft": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-760v-80h720v80H120Zm0 640v-80h720v80H120Zm0-160v-400h320v400H120Zm400-320v-80h320v80H520Zm0 160v-80h320v80H520Zm0 160v-80h320v80H520Z\"/></svg>",
+ *     "imageCenter": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-760v-80h720v80H120Zm0 640v-80h720v80H120Zm160-160v-400h400v400H280Z\"/></svg>",
+ *     "imageRight": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-760v-80h720v80H120Zm0 640v-80h720v80H120Zm400-160v-400h320v400H520ZM120-600v-80h320v80H120Zm0 160v-80h320v80H120Zm0 160v-80h320v80H120Z\"/></svg>",
  *     // search
  *     "search": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\" fill=\"#1f1f1f\"><path d=\"M784-120 532-372q-30 24-69 38t-83 14q-109 0-184.5-75.5T120-580q0-109 75.5-184.5T380-840q109 0 184.5 75.5T640-580q0 44-14 83t-38 69l252 252-56 56ZM380-400q75 0 127.5-52.5T560-580q0-75-52.5-127.5T380-760q-75 0-127.5 52.5T200-580q0 75 52.5 127.5T380-400Z\"/></svg>",
  *     // chevron_forward
@@ -144,7 +212,13 @@ import toolbarConfig from "../../config/toolbarconfig.json"
  *     // more_horiz
  *     "more": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\" fill=\"#1f1f1f\"><path d=\"M240-400q-33 0-56.5-23.5T160-480q0-33 23.5-56.5T240-560q33 0 56.5 23.5T320-480q0 33-23.5 56.5T240-400Zm240 0q-33 0-56.5-23.5T400-480q0-33 23.5-56.5T480-560q33 0 56.5 23.5T560-480q0 33-23.5 56.5T480-400Zm240 0q-33 0-56.5-23.5T640-480q0-33 23.5-56.5T720-560q33 0 56.5 23.5T800-480q0 33-23.5 56.5T720-400Z\"/></svg>",
  *     // custom, since horizontal_rule was inadequate
- *     "hRule": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"> <path fill-rule=\"evenodd\" d=\"M160-80q-33 0-56.5-23.5T80-160v-640q0-33 23.5-56.5T160-880h640q33 0 56.5 23.5T880-800v640q0 33-23.5 56.5T800-80H160ZM160-800H800V-160H160Z\" fill=\"currentColor\"/> <path d=\"M240-340H720V-260H240Z\" fill=\"currentColor\"/> <path d=\"M340-600H620V-520H340ZM440-700H520V-420H440Z\" fill=\"currentColor\"/></svg>"
+ *     "hRule": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"> <path fill-rule=\"evenodd\" d=\"M160-80q-33 0-56.5-23.5T80-160v-640q0-33 23.5-56.5T160-880h640q33 0 56.5 23.5T880-800v640q0 33-23.5 56.5T800-80H160ZM160-800H800V-160H160Z\" fill=\"currentColor\"/> <path d=\"M240-340H720V-260H240Z\" fill=\"currentColor\"/> <path d=\"M340-600H620V-520H340ZM440-700H520V-420H440Z\" fill=\"currentColor\"/></svg>",
+ *     // custom, for a collapsible section
+ *     "details": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-760h240L240-600 120-760Zm320 80v-80h400v80H440ZM280-440v-80h560v80H280Zm0 160v-80h560v80H280Z\"/></svg>",
+ *     // custom, for a callout
+ *     "callout": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M160-160v-640h80v640h-80Zm160-480v-80h480v80H320Zm0 160v-80h480v80H320Zm0 160v-80h320v80H320Z\"/></svg>",
+ *     // custom, for a definition list
+ *     "definitionList": "<svg xmlns=\"http://www.w3.org/2000/svg\" height=\"24px\" viewBox=\"0 -960 960 960\" width=\"24px\"><path d=\"M120-800h320v80H120v-80Zm120 120h600v80H240v-80ZM120-440h320v80H120v-80Zm120 120h600v80H240v-80Z\"/></svg>"
  *   }
  * }
  * ```
@@ -0,0 +1,823 @@
+import {DOMSerializer} from 'prosemirror-model'
+import {schema} from './schema/index.js'
+import {cleanUpDivsWithin, cleanUpSpansWithin} from './utilities.js'
+
+/**
+ * Conversion between the MarkupEditor document and Markdown.
+ *
+ * Serializing walks the ProseMirror document and produces CommonMark with the GFM
+ * extensions for tables, task lists, and strikethrough. Two attribute extensions in the style of
+ * Pandoc/kramdown preserve what plain Markdown can't express: a heading id is written
+ * as `# Heading {#id}`, and image dimensions as `![alt](src){width=200 height=100}`.
+ *
+ * Any node or mark with no Markdown equivalent falls back to its HTML as `getHTML` produces
+ * it, which Markdown passes through untouched. For example, `u`, `sub`, and
+ * `sup` marks are written as `<u>`, `<sub>`, and `<sup>`, and a table whose cells span rows
+ * or columns is written as a `<table>`. Node types added to the schema later get the same
+ * treatment without any change here.
+ *
+ * Parsing goes the other way by producing HTML from the Markdown, which the MarkupEditor
+ * then loads like any other HTML, so inline and block HTML in the Markdown are honored
+ * using the same parse rules as `setHTML`.
+ */
+
+/**
+ * Table classes that a GFM table can represent, because they are the same as the default.
+ * @ignore
+ */
+const _defaultTableClasses = [null, 'bordered-table-cell']
+
+/**
+ * Tags that start an HTML block when they begin a line of Markdown. The lines up to the
+ * next blank line are passed through as HTML without being interpreted as Markdown.
+ * @ignore
+ */
+const _htmlBlockTags = [
+    'address', 'article', 'aside', 'blockquote', 'button', 'details', 'dd', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li',
+    'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]
+
+/**
+ * Block serializers for the node types that have a Markdown representation, keyed by
+ * node type name. Each returns an array of lines, or null if the node can't be represented
+ * in Markdown. Those nodes and node types not found here are serialized as HTML.
+ * @ignore
+ */
+const _blockSerializers = {
+
+    paragraph(node) {
+        if (node.attrs.align) return null   // Markdown has no alignment, so use HTML
+        if (node.childCount === 0) return []
+        return _escapeLineStarts(_inlineMarkdown(node).split('\n'))
+    },
+
+    heading(node) {
+        if (node.attrs.align) return null
+        const id = node.attrs.id ? ` {#${node.attrs.id}}` : ''
+        return ['#'.repeat(node.attrs.level) + ' ' + _inlineMarkdown(node, true) + id]
+    },
+
+    blockquote(node) {
+        return _blocksMarkdown(node).map(line => (line.length > 0) ? '> ' + line : '>')
+    },
+
+    horizontal_rule() {
+        return ['---']
+    },
+
+    code_block(node) {
+        const text = node.textContent
+        const longest = Math.max(2, ...(text.match(/`+/g) ?? []).map(run => run.length))
+        const fence = '`'.repeat(longest + 1)
+        const lines = (text.length > 0) ? text.split('\n') : []
+        return [fence + (node.attrs.language ?? ''), ...lines, fence]
+    },
+
+    bullet_list(node) {
+        if (node.attrs.listStyle) return null
+        return _listMarkdown(node, () => '- ')
+    },
+
+    ordered_list(node) {
+        if (node.attrs.listStyle) return null
+        const start = node.attrs.order ?? 1
+        return _listMarkdown(node, (index) => `${start + index}. `)
+    },
+
+    task_list(node) {
+        return _listMarkdown(node, (index, item) => item.attrs.checked ? '- [x] ' : '- [ ] ')
+    },
+
+    table(node) {
+        return _isGFMTable(node) ? _tableMarkdown(node) : null
+    }
+
+}
+
+/**
+ * Return the Markdown for the contents of `node`, typically the doc.
+ *
+ * @param {Node} node A ProseMirror node whose content is block nodes
+ * @returns {string} The Markdown
+ */
+export function markdownFromNode(node) {
+    const lines = _blocksMarkdown(node)
+    return (lines.length > 0) ? lines.join('\n') + '\n' : ''
+}
+
+/**
+ * Return the lines of Markdown for the block children of `node`, separated by blank lines.
+ * @ignore
+ */
+function _blocksMarkdown(node) {
+    const lines = []
+    node.forEach(child => {
+        const childLines = _blockMarkdown(child)
+        if (childLines.length === 0) return
+        if (lines.length > 0) lines.push('')
+        lines.push(...childLines)
+    })
+    return lines
+}
+
+/**
+ * Return the lines of Markdown for the block `node`, falling back to HTML when needed.
+ * @ignore
+ */
+function _blockMarkdown(node) {
+    const serializer = _blockSerializers[node.type.name]
+    return serializer?.(node) ?? _htmlFromNode(node).split('\n')
+}
+
+/**
+ * Return the lines of Markdown for a bullet, ordered, or task list, where `marker(index, item)`
+ * provides the marker for each list item. Continuation lines are indented to line
+ * up with the text after the marker, as required for them to stay in the list item.
+ *
+ * The list is "tight" (no blank lines between items) unless some item holds more than
+ * one paragraph-like block.
+ * @ignore
+ */
+function _listMarkdown(node, marker) {
+    const items = []
+    let loose = false
+    node.forEach((item, offset, index) => {
+        const itemMarker = marker(index, item)
+        const indent = ' '.repeat(itemMarker.length)
+        const lines = []
+        let blocks = 0
+        item.forEach(child => {
+            const isList = _isListType(child.type)
+            if (!isList) blocks++
+            const childLines = _blockMarkdown(child)
+            if (childLines.length === 0) return
+            if (lines.length > 0 && !isList) lines.push('')
+            lines.push(...childLines)
+        })
+        if (blocks > 1) loose = true
+        if (lines.length === 0) lines.push('')
+        items.push(lines.map((line, i) => {
+            if (i === 0) return itemMarker + line
+            return (line.length > 0) ? indent + line : line
+        }))
+    })
+    const lines = []
+    items.forEach((itemLines, i) => {
+        if (loose && i > 0) lines.push('')
+        lines.push(...itemLines)
+    })
+    return lines
+}
+
+/**
+ * Return whether the node type is one of the list types.
+ * @ignore
+ */
+function _isListType(type) {
+    return type === schema.nodes.bullet_list || type === schema.nodes.ordered_list || type === schema.nodes.task_list
+}
+
+/**
+ * Return whether the table can be represented as a GFM table, which requires a single
+ * header row, no spanned cells, no cell formatting or column widths, and that every cell 
+ * holds just one paragraph. The table must also use the default bordering.
+ * @ignore
+ */
+function _isGFMTable(table) {
+    if (!_defaultTableClasses.includes(table.attrs.class)) return false
+    if (table.childCount === 0) return false
+    const cols = table.firstChild.childCount
+    let gfm = true
+    table.forEach((row, offset, rowIndex) => {
+        if (row.childCount != cols) gfm = false
+        row.forEach(cell => {
+            const isHeader = cell.type === schema.nodes.table_header
+            if (isHeader != (rowIndex === 0)) gfm = false
+            if (cell.attrs.colspan != 1 || cell.attrs.rowspan != 1 || cell.attrs.background || cell.attrs.colwidth) gfm = false
+            if (cell.attrs.align || cell.attrs.valign) gfm = false
+            if (cell.childCount != 1 || cell.firstChild.type != schema.nodes.paragraph) gfm = false
+        })
+    })
+    return gfm
+}
+
+/**
+ * Return the lines of Markdown for a GFM table.
+ * @ignore
+ */
+function _tableMarkdown(table) {
+    const rowLine = (row) => {
+        const cells = []
+        row.forEach(cell => cells.push(_inlineMarkdown(cell.firstChild, true).replaceAll('|', '\\|')))
+        return '| ' + cells.join(' | ') + ' |'
+    }
+    const lines = []
+    table.forEach((row, offset, index) => {
+        lines.push(rowLine(row))
+        if (index === 0) lines.push('|' + ' --- |'.repeat(row.childCount))
+    })
+    return lines
+}
+
+/**
+ * Return the Markdown for the inline content of `node`.
+ *
+ * Marks are opened and closed as the text nodes are walked, keeping them properly
+ * nested. Whitespace at the boundaries of a mark is moved outside of it, since
+ * Markdown doesn't recognize `** bold**`. When `singleLine` is true, as in headings
+ * and table cells, hard breaks are written as `<br>` rather than a Markdown line break.
+ * @ignore
+ */
+function _inlineMarkdown(node, singleLine=false) {
+    const children = []
+    node.forEach(child => children.push(child))
+    const outerMarks = (child) => child ? child.marks.filter(mark => mark.type !== schema.marks.code) : []
+    let text = ''
+    let active = []
+    const setMarks = (marks) => {
+        let keep = 0
+        while (keep < active.length && keep < marks.length && active[keep].eq(marks[keep])) keep++
+        while (active.length > keep) text += _markDelimiters(active.pop())[1]
+        for (let i = keep; i < marks.length; i++) {
+            text += _markDelimiters(marks[i])[0]
+            active.push(marks[i])
+        }
+    }
+    children.forEach((child, index) => {
+        const marks = outerMarks(child)
+        if (child.isText && !schema.marks.code.isInSet(child.marks)) {
+            // Expel leading and trailing whitespace from marks that start or end here
+            const [, lead, core, trail] = child.text.match(/^(\s*)(.*?)(\s*)$/s)
+            if (lead) {
+                const previous = outerMarks(children[index - 1])
+                setMarks(marks.filter(mark => mark.isInSet(previous)))
+                text += lead
+            }
+            if (core) {
+                setMarks(marks)
+                text += _escapeMarkdown(core)
+            }
+            if (trail) {
+                const next = outerMarks(children[index + 1])
+                setMarks(marks.filter(mark => mark.isInSet(next)))
+                text += trail
+            }
+        } else {
+            setMarks(marks)
+            text += _inlineNodeMarkdown(child, singleLine)
+        }
+    })
+    setMarks([])
+    return text
+}
+
+/**
+ * Return the Markdown for an inline node, including text with the code mark.
+ * @ignore
+ */
+function _inlineNodeMarkdown(node, singleLine) {
+    switch (node.type) {
+        case schema.nodes.text:
+            return _codeSpan(node.text)
+        case schema.nodes.hard_break:
+            return singleLine ? '<br>' : '\\\n'
+        case schema.nodes.image: {
+            if (node.attrs.align) return _htmlFromNode(node)    // Markdown has no alignment, so use HTML
+            const {src, alt, width, height} = node.attrs
+            const dimensions = []
+            if (width) dimensions.push(`width=${width}`)
+            if (height) dimensions.push(`height=${height}`)
+            const attributes = (dimensions.length > 0) ? `{${dimensions.join(' ')}}` : ''
+            return `![${_escapeMarkdown(alt ?? '')}](${_destination(src)})${attributes}`
+        }
+        default:
+            return _htmlFromNode(node)
+    }
+}
+
+/**
+ * Return the opening and closing delimiters for `mark`. Marks with no Markdown
+ * equivalent are delimited by their HTML tags.
+ * @ignore
+ */
+function _markDelimiters(mark) {
+    switch (mark.type) {
+        case schema.marks.strong:
+            return ['**', '**']
+        case schema.marks.em:
+            return ['*', '*']
+        case schema.marks.s:
+            return ['~~', '~~']
+        case schema.marks.link: {
+            const title = mark.attrs.title ? ` "${mark.attrs.title.replaceAll('"', '\\"')}"` : ''
+            return ['[', `](${_destination(mark.attrs.href)}${title})`]
+        }
+        default: {
+            // Render the mark around a placeholder and split its HTML at the placeholder
+            const placeholder = '\u{FFFC}'
+            const {dom, contentDOM} = DOMSerializer.renderSpec(document, mark.type.spec.toDOM(mark, true))
+            if (contentDOM) contentDOM.textContent = placeholder
+            return dom.outerHTML.split(placeholder)
+        }
+    }
+}
+
+/**
+ * Return `text` as a code span, using a backtick fence longer than any run within it.
+ * @ignore
+ */
+function _codeSpan(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) ?? []).map(run => run.length))
+    const fence = '`'.repeat(longest + 1)
+    const pad = (text.startsWith('`') || text.endsWith('`')) ? ' ' : ''
+    return fence + pad + text + pad + fence
+}
+
+/**
+ * Return a link or image destination, wrapped in angle brackets if it contains
+ * characters that would otherwise end it.
+ * @ignore
+ */
+function _destination(url) {
+    return /[\s()<>]/.test(url ?? '') ? `<${url}>` : (url ?? '')
+}
+
+/**
+ * Return `text` with the characters that are significant in Markdown escaped.
+ * @ignore
+ */
+function _escapeMarkdown(text) {
+    return text
+        .replace(/[\\`*_~[\]<>]/g, '\\$&')
+        .replace(/&(?=#?\w+;)/g, '\\&')
+}
+
+/**
+ * Return `lines` with anything at the start of a line that would be misinterpreted as
+ * block-level Markdown escaped.
+ * @ignore
+ */
+function _escapeLineStarts(lines) {
+    return lines.map(line => line
+        .replace(/^(\s*)([#>+-]|=+\s*$)/, '$1\\$2')
+        .replace(/^(\s*\d+)([.)])/, '$1\\$2')
+        .replace(/^ /, '&#32;')
+    )
+}
+
+/**
+ * Return the HTML for `node` as produced by the schema, without the divs and spans that
+ * only wrap content in the editor, the same as `getHTML`.
+ * @ignore
+ */
+function _htmlFromNode(node) {
+    const fragment = document.createDocumentFragment()
+    fragment.appendChild(DOMSerializer.fromSchema(schema).serializeNode(node))
+    cleanUpDivsWithin(fragment)
+    cleanUpSpansWithin(fragment)
+    const div = document.createElement('div')
+    div.appendChild(fragment)
+    return div.innerHTML
+}
+
+/**
+ * Return the HTML for the Markdown text.
+ *
+ * Supports the CommonMark block structure (ATX and setext headings, fenced and indented code,
+ * block quotes, bullet and ordered lists, thematic breaks, and HTML blocks), GFM tables, task
+ * lists, and strikethrough, and the `{#id}` and `{width=... height=...}` attribute extensions produced
+ * by `markdownFromNode`.
+ *
+ * @param {string} markdown The Markdown text
+ * @returns {string} The HTML
+ */
+export function htmlFromMarkdown(markdown) {
+    const lines = (markdown ?? '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n')
+    return _blocksHTML(lines)
+}
+
+const _blankRegex = /^\s*$/
+const _fenceRegex = /^( {0,3})(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/
+const _headingRegex = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/
+const _hruleRegex = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/
+const _quoteRegex = /^ {0,3}> ?/
+const _listItemRegex = /^( {0,3})([-+*]|(\d{1,9})[.)])([ \t]+|$)/
+const _htmlBlockRegex = new RegExp(`^ {0,3}(?:<!--|<\\/?(?:${_htmlBlockTags.join('|')})(?:[\\s/>]|$))`, 'i')
+const _delimiterRowRegex = /^ {0,3}\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/
+
+/**
+ * Return whether `line` starts a block that interrupts a paragraph.
+ * @ignore
+ */
+function _startsBlock(line) {
+    return _fenceRegex.test(line) || _headingRegex.test(line) || _hruleRegex.test(line) ||
+        _quoteRegex.test(line) || _listItemRegex.test(line) || _htmlBlockRegex.test(line)
+}
+
+/**
+ * Return the HTML for an array of lines of block-level Markdown.
+ * @ignore
+ */
+function _blocksHTML(lines) {
+    let html = ''
+    let i = 0
+    while (i < lines.length) {
+        const line = lines[i]
+        let match
+        if (_blankRegex.test(line)) {
+            i++
+        } else if ((match = line.match(_fenceRegex))) {
+            const [, indent, fence, language] = match
+            const closing = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`)
+            const code = []
+            i++
+            while (i < lines.length && !closing.test(lines[i])) {
+                code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''))
+                i++
+            }
+            i++     // Skip the closing fence
+            html += _codeBlockHTML(code.join('\n'), language)
+        } else if ((match = line.match(_headingRegex))) {
+            html += _headingHTML(match[1].length, match[2] ?? '')
+            i++
+        } else if (_hruleRegex.test(line)) {
+            html += '<hr>'
+            i++
+        } else if (_quoteRegex.test(line)) {
+            const quoted = []
+            while (i < lines.length && _quoteRegex.test(lines[i])) {
+                quoted.push(lines[i].replace(_quoteRegex, ''))
+                i++
+            }
+            html += `<blockquote>${_blocksHTML(quoted)}</blockquote>`
+        } else if (_listItemRegex.test(line)) {
+            const list = _listHTML(lines, i)
+            html += list.html
+            i = list.end
+        } else if (_htmlBlockRegex.test(line)) {
+            const block = []
+            while (i < lines.length && !_blankRegex.test(lines[i])) {
+                block.push(lines[i])
+                i++
+            }
+            html += block.join('\n')
+        } else if (/^ {4}/.test(line)) {
+            const code = []
+            while (i < lines.length && (/^ {4}/.test(lines[i]) || _blankRegex.test(lines[i]))) {
+                code.push(lines[i].slice(4))
+                i++
+            }
+            while (code.length > 0 && _blankRegex.test(code[code.length - 1])) code.pop()
+            html += _codeBlockHTML(code.join('\n'))
+        } else if (line.includes('|') && lines[i + 1]?.includes('|') && _delimiterRowRegex.test(lines[i + 1])) {
+            const rows = [line]
+            i += 2
+            while (i < lines.length && !_blankRegex.test(lines[i]) && lines[i].includes('|')) {
+                rows.push(lines[i])
+                i++
+            }
+            html += _tableHTML(rows)
+        } else {
+            const paragraph = [line.trim()]
+            i++
+            while (i < lines.length && !_blankRegex.test(lines[i]) && !_startsBlock(lines[i])) {
+                if (/^ {0,3}=+\s*$/.test(lines[i]) || /^ {0,3}-+\s*$/.test(lines[i])) break
+                paragraph.push(lines[i].trim())
+                i++
+            }
+            const setext = lines[i]?.match(/^ {0,3}(=+|-+)\s*$/)
+            if (setext) {
+                html += _headingHTML((setext[1][0] === '=') ? 1 : 2, paragraph.join('\n'))
+                i++
+            } else {
+                html += `<p>${_inlineHTML(paragraph.join('\n'))}</p>`
+            }
+        }
+    }
+    return html
+}
+
+/**
+ * Return the HTML for a heading, extracting the `{#id}` attribute if present.
+ * @ignore
+ */
+function _headingHTML(level, text) {
+    const match = text.match(/^(.*?)\s*\{#([^}\s]+)\}$/s)
+    const id = match ? ` id="${_escapeHTML(match[2])}"` : ''
+    const content = match ? match[1] : text
+    return `<h${level}${id}>${_inlineHTML(content.trim())}</h${level}>`
+}
+
+/**
+ * Return the HTML for a code block.
+ * @ignore
+ */
+function _codeBlockHTML(code, language) {
+    const languageClass = language ? ` class="language-${_escapeHTML(language)}"` : ''
+    return `<pre><code${languageClass}>${_escapeHTML(code)}</code></pre>`
+}
+
+/**
+ * Return the HTML for the list whose first item is at `lines[start]`, along with the
+ * index of the line following the list.
+ *
+ * The list continues as long as items of the same kind follow, separated only by blank
+ * lines. An item holds the lines indented at least as far as the text following its
+ * marker, plus "lazy" paragraph continuation lines. A bullet list whose first item starts
+ * with `[ ]` or `[x]` is a task list.
+ * @ignore
+ */
+function _listHTML(lines, start) {
+    const first = lines[start].match(_listItemRegex)
+    const ordered = first[3] !== undefined
+    const sameKind = (match) => match && ((match[3] !== undefined) === ordered) &&
+        (ordered || match[2] === first[2])
+    const taskRegex = /^\[([ xX])\](?:[ \t]+|$)/
+    const tasks = !ordered && taskRegex.test(lines[start].slice(first[0].length))
+    const items = []
+    let i = start
+    let match
+    while (i < lines.length && sameKind(match = lines[i].match(_listItemRegex))) {
+        let rest = lines[i].slice(match[0].length)
+        const task = tasks ? rest.match(taskRegex) : null
+        if (task) rest = rest.slice(task[0].length)
+        const spacing = (match[4].length > 4 || rest.length === 0) ? 1 : match[4].length
+        const indent = match[1].length + match[2].length + spacing
+        const itemLines = [rest]
+        let lazy = rest.length > 0
+        i++
+        while (i < lines.length) {
+            const line = lines[i]
+            if (_blankRegex.test(line)) {
+                let next = i + 1
+                while (next < lines.length && _blankRegex.test(lines[next])) next++
+                if (next >= lines.length || _indentation(lines[next]) < indent) break
+                itemLines.push('')
+                lazy = false
+                i++
+            } else if (_indentation(line) >= indent) {
+                itemLines.push(line.slice(indent))
+                lazy = !_startsBlock(line.slice(indent))
+                i++
+            } else if (lazy && !_startsBlock(line)) {
+                itemLines.push(line.trim())
+                i++
+            } else {
+                break
+            }
+        }
+        const checked = tasks ? ` data-checked="${(task && task[1] !== ' ') ? 'true' : 'false'}"` : ''
+        items.push(`<li${checked}>${_blocksHTML(itemLines)}</li>`)
+        // Skip blank lines between items, but not after the end of the list
+        let next = i
+        while (next < lines.length && _blankRegex.test(lines[next])) next++
+        if (next < lines.length && sameKind(lines[next].match(_listItemRegex))) i = next
+    }
+    const order = ordered ? parseInt(first[3]) : 1
+    let html
+    if (ordered) {
+        html = `<ol${(order !== 1) ? ` start="${order}"` : ''}>${items.join('')}</ol>`
+    } else {
+        html = `<ul${tasks ? ' data-type="tasklist"' : ''}>${items.join('')}</ul>`
+    }
+    return {html: html, end: i}
+}
+
+/**
+ * Return the number of leading spaces in `line`.
+ * @ignore
+ */
+function _indentation(line) {
+    return line.match(/^ */)[0].length
+}
+
+/**
+ * Return the HTML for a GFM table from its rows, not including the delimiter row.
+ * The first row is the header row.
+ * @ignore
+ */
+function _tableHTML(rows) {
+    const cols = _tableCells(rows[0]).length
+    let html = '<table>'
+    rows.forEach((row, index) => {
+        const tag = (index === 0) ? 'th' : 'td'
+        const cells = _tableCells(row)
+        html += '<tr>'
+        for (let col = 0; col < cols; col++) {
+            html += `<${tag}><p>${_inlineHTML(cells[col] ?? '')}</p></${tag}>`
+        }
+        html += '</tr>'
+    })
+    return html + '</table>'
+}
+
+/**
+ * Return the trimmed Markdown for the cells in a GFM table row.
+ * @ignore
+ */
+function _tableCells(row) {
+    const cells = []
+    let cell = ''
+    const text = row.trim().replace(/^\|/, '')
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && text[i + 1] === '|') {
+            cell += '|'
+            i++
+        } else if (text[i] === '|') {
+            cells.push(cell.trim())
+            cell = ''
+        } else {
+            cell += text[i]
+        }
+    }
+    if (cell.trim().length > 0) cells.push(cell.trim())
+    return cells
+}
+
+/**
+ * Return the HTML for inline Markdown.
+ * @ignore
+ */
+function _inlineHTML(text) {
+    let html = ''
+    let i = 0
+    while (i < text.length) {
+        const char = text[i]
+        const rest = text.slice(i)
+        let match
+        if (char === '\\' && text[i + 1] === '\n') {
+            html += '<br>'
+            i += 2
+        } else if (char === '\\' && /[!-/:-@[-`{-~]/.test(text[i + 1] ?? '')) {
+            html += _escapeHTML(text[i + 1])
+            i += 2
+        } else if (char === '`') {
+            const fence = rest.match(/^`+/)[0]
+            const end = _findCodeSpanEnd(text, i + fence.length, fence.length)
+            if (end < 0) {
+                html += fence
+                i += fence.length
+            } else {
+                let code = text.slice(i + fence.length, end).replace(/\n/g, ' ')
+                if (/^ .*[^ ].* $/s.test(code)) code = code.slice(1, -1)
+                html += `<code>${_escapeHTML(code)}</code>`
+                i = end + fence.length
+            }
+        } else if (char === '!' && text[i + 1] === '[' && (match = _matchLink(text, i + 1))) {
+            const alt = _escapeHTML(_unescapeMarkdown(match.text))
+            let attributes = ''
+            const attributeMatch = text.slice(match.end).match(/^\{([^}]*)\}/)
+            if (attributeMatch) {
+                for (const [, name, value] of attributeMatch[1].matchAll(/(width|height)=(\d+)/g)) {
+                    attributes += ` ${name}="${value}"`
+                }
+            }
+            html += `<img src="${_escapeHTML(match.href)}"${alt ? ` alt="${alt}"` : ''}${attributes}>`
+            i = match.end + (attributeMatch ? attributeMatch[0].length : 0)
+        } else if (char === '[' && (match = _matchLink(text, i))) {
+            const title = match.title ? ` title="${_escapeHTML(match.title)}"` : ''
+            html += `<a href="${_escapeHTML(match.href)}"${title}>${_inlineHTML(match.text)}</a>`
+            i = match.end
+        } else if (char === '<' && (match = rest.match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/))) {
+            html += `<a href="${_escapeHTML(match[1])}">${_escapeHTML(match[1])}</a>`
+            i += match[0].length
+        } else if (char === '<' && (match = rest.match(/^<([^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/))) {
+            html += `<a href="mailto:${_escapeHTML(match[1])}">${_escapeHTML(match[1])}</a>`
+            i += match[0].length
+        } else if (char === '<' && (match = rest.match(/^(?:<\/?[a-zA-Z][\w-]*(?:\s+[^<>]*?)?\/?>|<!--.*?-->)/s))) {
+            html += match[0]
+            i += match[0].length
+        } else if ((char === '*' || char === '_' || char === '~') && (match = _matchEmphasis(text, i))) {
+            html += `<${match.tag}>${_inlineHTML(match.text)}</${match.tag}>`
+            i = match.end
+        } else if (char === '&' && (match = rest.match(/^&(?:#\d+|#x[0-9a-fA-F]+|\w+);/))) {
+            html += match[0]
+            i += match[0].length
+        } else if (char === '\n') {
+            // Two or more trailing spaces make a hard break; otherwise it's a soft break
+            if (/ {2,}$/.test(html)) {
+                html = html.replace(/ +$/, '') + '<br>'
+            } else {
+                html = html.replace(/ +$/, '') + ' '
+            }
+            i++
+        } else {
+            html += _escapeHTML(char)
+            i++
+        }
+    }
+    return html
+}
+
+/**
+ * Return the index of the backtick run of `length` that closes a code span,
+ * searching from `from`, or -1 if there is none.
+ * @ignore
+ */
+function _findCodeSpanEnd(text, from, length) {
+    const regex = /`+/g
+    regex.lastIndex = from
+    let match
+    while ((match = regex.exec(text))) {
+        if (match[0].length === length) return match.index
+    }
+    return -1
+}
+
+/**
+ * Return the parts of the link or image whose text starts with the `[` at `start`,
+ * or null if it isn't an inline link.
+ * @ignore
+ */
+function _matchLink(text, start) {
+    let depth = 0
+    let close = -1
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++
+        } else if (text[i] === '`') {
+            const fence = text.slice(i).match(/^`+/)[0]
+            const end = _findCodeSpanEnd(text, i + fence.length, fence.length)
+            i = (end < 0) ? i + fence.length - 1 : end + fence.length - 1
+        } else if (text[i] === '[') {
+            depth++
+        } else if (text[i] === ']') {
+            depth--
+            if (depth === 0) {
+                close = i
+                break
+            }
+        }
+    }
+    if (close < 0 || text[close + 1] !== '(') return null
+    const tail = text.slice(close + 2)
+    const match = tail.match(/^\s*(?:<([^<>\n]*)>|((?:\\.|[^\s()\\]|\((?:\\.|[^\s()\\])*\))*))(?:\s+(?:"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'))?\s*\)/)
+    if (!match) return null
+    return {
+        text: text.slice(start + 1, close),
+        href: _unescapeMarkdown(match[1] ?? match[2] ?? ''),
+        title: _unescapeMarkdown(match[3] ?? match[4] ?? ''),
+        end: close + 2 + match[0].length
+    }
+}
+
+/**
+ * Return the tag, content, and end index for emphasis, strong, or strikethrough
+ * starting at `start`, or null if the delimiter there doesn't open one.
+ *
+ * This is a simplification of the CommonMark delimiter rules: the opener must be
+ * followed by non-whitespace, and the closer is the first run of the same character
+ * preceded by non-whitespace whose length matches (or is 3, to close both emphasis
+ * and strong at once). Underscores are not recognized within words.
+ * @ignore
+ */
+function _matchEmphasis(text, start) {
+    const char = text[start]
+    const run = text.slice(start).match(new RegExp(`^\\${char}+`))[0]
+    const length = (char === '~') ? 2 : Math.min(run.length, 2)
+    if (char === '~' && run.length !== 2) return null
+    if (!text[start + length] || /\s/.test(text[start + length])) return null
+    if (char === '_' && /[\p{L}\p{N}]/u.test(text[start - 1] ?? '')) return null
+    for (let i = start + length; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++
+        } else if (text[i] === '`') {
+            const fence = text.slice(i).match(/^`+/)[0]
+            const end = _findCodeSpanEnd(text, i + fence.length, fence.length)
+            i = (end < 0) ? i + fence.length - 1 : end + fence.length - 1
+        } else if (text[i] === char) {
+            const closer = text.slice(i).match(new RegExp(`^\\${char}+`))[0]
+            const opensHere = i === start + length && closer.length > 0
+            const precededBySpace = /\s/.test(text[i - 1])
+            const followedByWord = (char === '_') && /[\p{L}\p{N}]/u.test(text[i + closer.length] ?? '')
+            if (!opensHere && !precededBySpace && !followedByWord && (closer.length === length || closer.length === 3)) {
+                const end = i + closer.length - length
+                const tag = (char === '~') ? 's' : (length === 2) ? 'strong' : 'em'
+                return {tag: tag, text: text.slice(start + length, end), end: end + length}
+            }
+            i += closer.length - 1
+        }
+    }
+    return null
+}
+
+/**
+ * Return `text` with Markdown backslash escapes removed.
+ * @ignore
+ */
+function _unescapeMarkdown(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1')
+}
+
+/**
+ * Return `text` with the characters that are significant in HTML escaped.
+ * @ignore
+ */
+function _escapeHTML(text) {
+    return text
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+}
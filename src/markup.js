@@ -6,14 +6,17 @@ import {
     selectedID,             // `selectedID` is the id of the contentEditable DIV containing the currently selected element
     setSelectedID,
     activeEditorElement,
+    activeConfig,
 } from './registry'
 import {MUError} from './muerror.js'
-import {schema} from "./schema/index.js"
-import {AllSelection, TextSelection, NodeSelection, EditorState} from 'prosemirror-state'
-import {DOMParser, DOMSerializer} from 'prosemirror-model'
-import {toggleMark} from 'prosemirror-commands'
-import {findWrapping, liftTarget} from 'prosemirror-transform'
+import {schema, alignments, verticalAlignments, imageAlignments, listStyles, isCalloutKind} from "./schema/index.js"
+import {schemaVersion, migrate} from "./schema/version.js"
+import {Selection, AllSelection, TextSelection, NodeSelection, EditorState} from 'prosemirror-state'
+import {DOMParser, DOMSerializer, NodeRange, Fragment, Slice} from 'prosemirror-model'
+import {toggleMark, chainCommands} from 'prosemirror-commands'
+import {findWrapping, liftTarget, ReplaceAroundStep} from 'prosemirror-transform'
 import {undo, redo} from 'prosemirror-history'
+import {undoInputRule} from 'prosemirror-inputrules'
 import {wrapInList, liftListItem, splitListItem, wrapRangeInList} from 'prosemirror-schema-list'
 import {
     addRowBefore, 
@@ -24,11 +27,15 @@ import {
     deleteColumn, 
     deleteTable, 
     CellSelection, 
-    mergeCells,
-    toggleHeaderRow,
+    mergeCells as mergeTableCells,
+    splitCell as splitTableCell,
+    TableMap,
+    cellAround,
 } from 'prosemirror-tables'
 import { isSearchFocused, isPromptShowing } from './domaccess.js'
+import { cleanUpDivsWithin, cleanUpSpansWithin } from './utilities.js'
 import { isRecognizedLanguage, presentCodeLanguages } from './highlighting.js'
+import { markdownFromNode, htmlFromMarkdown } from './markdown.js'
 
 /**
  * Define various arrays of tags used to represent MarkupEditor-specific concepts.
@@ -36,7 +43,7 @@ import { isRecognizedLanguage, presentCodeLanguages } from './highlighting.js'
  * For example, "Paragraph Style" is a MarkupEditor concept that doesn't map directly to HTML or CSS.
  * @ignore
  */
-const _formatTags = ['B', 'STRONG', 'I', 'EM', 'U', 'DEL', 'SUB', 'SUP', 'CODE'];       // All possible (nestable) formats
+const _formatTags = ['B', 'STRONG', 'I', 'EM', 'U', 'DEL', 'SUB', 'SUP', 'CODE'];       // All possible (nestable) formats, but not MARK or color SPAN, which pasteText keeps
 
 const _minimalStyleTags = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE'];           // Convert to 'P' for pasteText
 
@@ -56,7 +63,8 @@ export function searchIsActive() { return activeSearcher().isActive }
  * Where Enter is bound in keymap.js, we chain `handleEnter` with `splitListItem`.
  * 
  * The logic for handling Enter is entirely MarkupEditor-specific, so is exported from here but imported in keymap.js.
- * We only need to report stateChanged when not in search mode.
+ * We only need to report stateChanged when not in search mode. In a definition list, Enter 
+ * alternates between terms and descriptions, which `splitListItem` knows nothing about.
  * 
  * @ignore
  * @returns {boolean}    Value is false if subsequent commands (like splitListItem) should execute;
@@ -68,6 +76,7 @@ export function handleEnter() {
         activeSearcher()?.searchForward();
         return true;
     }
+    if (splitDefinitionCommand(true)(view.state, view.dispatch, view)) return true;
     stateChanged(view)
     return false;
 }
@@ -76,7 +85,8 @@ export function handleEnter() {
  * Handle pressing Shift-Enter.
  * 
  * The logic for handling Shift-Enter is entirely MarkupEditor-specific, so is exported from here but imported in keymap.js.
- * We only need to report stateChanged when not in search mode.
+ * We only need to report stateChanged when not in search mode. In a definition list, Shift-Enter 
+ * adds another term after a term or another description after a description.
  * 
  * @ignore
  * @returns {boolean}    Value is false if subsequent commands should execute;
@@ -88,6 +98,7 @@ export function handleShiftEnter() {
         activeSearcher()?.searchBackward();
         return true;
     }
+    if (splitDefinitionCommand(false)(view.state, view.dispatch, view)) return true;
     stateChanged(view)
     return false;
 }
@@ -388,7 +399,7 @@ export function matchIndex() {
  */
 export function pasteHTML(html, event) {
     const view = activeView()
-    view.pasteHTML(html, event);
+    view.pasteHTML(_preprocessPasteTable(html), event);
     stateChanged(view);
 };
 
@@ -417,7 +428,7 @@ export function pasteCode(text) {
  * @param   {ClipboardEvent | null} event   A mocked ClipboardEvent for testing
  */
 export function pasteText(html, event) {
-    const node = _nodeFromHTML(_preprocessPasteText(html));
+    const node = _nodeFromHTML(_preprocessPasteText(_preprocessPasteTable(html)));
     const htmlFragment = fragmentFromNode(node);
     const minimalHTML = _minimalHTML(htmlFragment); // Reduce to MarkupEditor-equivalent of "plain" text
     pasteHTML(minimalHTML, event);
@@ -465,12 +476,172 @@ function _linebreaksToHTML(text) {
         .join('');
 };
 
+/**
+ * Return HTML for a table when `html` is tabular data, or `html` itself otherwise.
+ * 
+ * Plain text (no HTML markup at all) is tabular when it is tab-separated values with at 
+ * least two rows and columns, the same number of values in every row, and a value at the 
+ * start of some row, so that lines indented by a tab stay text. When pasting into an 
+ * existing table, a single row is enough. Comma-separated values are only tabular when 
+ * the BehaviorConfig `pasteCSV` is true, since lines of prose often hold commas. An HTML 
+ * table from a spreadsheet, identified by the inline styling on its cells holding only 
+ * text, is rebuilt without the styling. 
+ * 
+ * The first row becomes the table header when the BehaviorConfig `pasteTableHeader` is 
+ * true, except when pasting into an existing table, where the rows fill the cells.
+ * @ignore
+ */
+function _preprocessPasteTable(html) {
+    const behavior = activeConfig()?.behavior;
+    const inTable = isTableSelected(activeView().state);
+    const header = !!behavior?.pasteTableHeader && !inTable;
+    if (!html.includes('<')) {
+        const rows = _tabularRows(html, !!behavior?.pasteCSV, inTable ? 1 : 2);
+        return rows ? _tableHTML(rows, header) : html;
+    };
+    return _spreadsheetTablesToHTML(html, header);
+};
+
+/**
+ * Return an array of rows, each an array of the text in its cells, when `text` is TSV, 
+ * or CSV if `csv` is true, with at least `minRows` rows, else null.
+ * @ignore
+ */
+function _tabularRows(text, csv, minRows) {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+    let rows;
+    if (lines.includes('\t')) {
+        rows = _delimitedRows(lines, '\t');
+    } else if (csv && lines.includes(',') && lines.includes('\n')) {
+        rows = _delimitedRows(lines, ',');
+    } else {
+        return null;
+    };
+    const cols = rows[0].length;
+    if ((rows.length < minRows) || (cols < 2) || rows.some(row => row.length !== cols)) return null;
+    if (rows.every(row => row[0] === '')) return null;
+    return rows;
+};
+
+/**
+ * Return the rows of `text` split into values at `delimiter`. As in RFC 4180, a value 
+ * in double quotes can hold the delimiter or newlines, and "" within it is a quote.
+ * @ignore
+ */
+function _delimitedRows(text, delimiter) {
+    const rows = [[]];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if ((char === '"') && (text[i + 1] === '"')) {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            };
+        } else if ((char === '"') && (value === '')) {
+            quoted = true;
+        } else if (char === delimiter) {
+            rows[rows.length - 1].push(value);
+            value = '';
+        } else if (char === '\n') {
+            rows[rows.length - 1].push(value);
+            rows.push([]);
+            value = '';
+        } else {
+            value += char;
+        };
+    };
+    rows[rows.length - 1].push(value);
+    return rows;
+};
+
+/**
+ * Return the HTML for a table whose cells hold the text in `rows`, with the first row 
+ * as a header if `header` is true. A newline within the text of a cell becomes a <br>.
+ * @ignore
+ */
+function _tableHTML(rows, header) {
+    const table = document.createElement('table');
+    rows.forEach((values, index) => {
+        const tr = document.createElement('tr');
+        for (const value of values) {
+            const cell = document.createElement((header && (index === 0)) ? 'th' : 'td');
+            cell.appendChild(_cellParagraph(value));
+            tr.appendChild(cell);
+        };
+        table.appendChild(tr);
+    });
+    return table.outerHTML;
+};
+
+/**
+ * Return a <p> holding `text`, with a <br> for each newline.
+ * @ignore
+ */
+function _cellParagraph(text) {
+    const p = document.createElement('p');
+    text.trim().split('\n').forEach((line, index) => {
+        if (index > 0) p.appendChild(document.createElement('br'));
+        p.appendChild(document.createTextNode(line));
+    });
+    return p;
+};
+
+/**
+ * Return `html` with each table from a spreadsheet replaced by a table that holds only 
+ * the text of its cells, keeping their spans, with the first row as a header if `header` 
+ * is true. 
+ * 
+ * Spreadsheets put their formatting in inline styles on the table, rows, and cells, whose 
+ * content is only text, so those are the tables that are replaced. A table whose cells 
+ * hold block elements like <p> is left alone.
+ * @ignore
+ */
+function _spreadsheetTablesToHTML(html, header) {
+    const fragment = _fragmentFromHTML(html);
+    const tables = Array.from(fragment.querySelectorAll('table')).filter(table => {
+        const cells = Array.from(table.querySelectorAll('td, th'));
+        if (cells.length === 0) return false;
+        const blocks = cells.some(cell => cell.querySelector(_blockSelector));
+        const styled = [table, ...table.querySelectorAll('tr, td, th')].some(element => element.hasAttribute('style'));
+        return styled && !blocks;
+    });
+    if (tables.length === 0) return html;
+    for (const table of tables) {
+        const newTable = document.createElement('table');
+        Array.from(table.rows).forEach((row, index) => {
+            const tr = document.createElement('tr');
+            for (const cell of row.cells) {
+                const newCell = document.createElement((header && (index === 0)) ? 'th' : 'td');
+                if (cell.colSpan > 1) newCell.setAttribute('colspan', cell.colSpan);
+                if (cell.rowSpan > 1) newCell.setAttribute('rowspan', cell.rowSpan);
+                cell.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+                newCell.appendChild(_cellParagraph(cell.textContent));
+                tr.appendChild(newCell);
+            };
+            newTable.appendChild(tr);
+        });
+        table.replaceWith(newTable);
+    };
+    const div = document.createElement('div');
+    div.appendChild(fragment);
+    return div.innerHTML;
+};
+
+const _blockSelector = 'p, div, h1, h2, h3, h4, h5, h6, ul, ol, dl, pre, blockquote, table, figure';
+
 /**
  * Return a minimal "unformatted equivalent" version of the HTML that is in fragment.
  *
  * This equivalent is derived by making all top-level nodes into <P> and removing
  * formatting and links. However, we leave TABLE, UL, and OL alone, so they still
- * come in as tables and lists, but with formatting removed.
+ * come in as tables and lists, but with formatting removed. A DL is flattened into 
+ * a <P> for each of its terms and descriptions.
  * @ignore
  */
 function _minimalHTML(fragment) {
@@ -478,6 +649,7 @@ function _minimalHTML(fragment) {
     const div = document.createElement('div');
     div.appendChild(fragment);
     // Then run thru the various minimization steps on the div
+    _minimalDefinitionList(div);
     _minimalStyle(div);
     _minimalFormat(div);
     _minimalLink(div);
@@ -497,6 +669,7 @@ function _minimalStyle(div) {
         while (element) {
             let newElement = document.createElement('P');
             newElement.innerHTML = element.innerHTML;
+            newElement.style.textAlign = element.style.textAlign;   // Paragraphs keep their alignment
             element.replaceWith(newElement);
             elements = div.getElementsByTagName(tag);
             element = (elements.length > 0) ? elements[0] : null;
@@ -504,6 +677,27 @@ function _minimalStyle(div) {
     });
 };
 
+/**
+ * Replace all definition lists in the div with a 'P' for each term and description.
+ * @ignore
+ */
+function _minimalDefinitionList(div) {
+    // Reset elements using getElementsByTagName as we go along or the
+    // replaceWith potentially messes the up loop over elements.
+    let elements = div.getElementsByTagName('DL');
+    let element = (elements.length > 0) ? elements[0] : null;
+    while (element) {
+        const paragraphs = Array.from(element.children).map(item => {
+            let newElement = document.createElement('P');
+            newElement.innerHTML = item.innerHTML;
+            return newElement;
+        });
+        element.replaceWith(...paragraphs);
+        elements = div.getElementsByTagName('DL');
+        element = (elements.length > 0) ? elements[0] : null;
+    };
+};
+
 /**
  * Replace all formats in the div with unformatted text
  * @ignore
@@ -654,8 +848,8 @@ export function getHTML(pretty='true', clean='true', divID) {
     const editor = DOMSerializer.fromSchema(schema).serializeFragment(divNode.content);
     let text;
     if (cleanHTML) {
-        _cleanUpDivsWithin(editor);
-        _cleanUpSpansWithin(editor);
+        cleanUpDivsWithin(editor);
+        cleanUpSpansWithin(editor);
     };
 	if (prettyHTML) {
         text = _allPrettyHTML(editor);
@@ -782,11 +976,23 @@ export function setHTML(contents, focusAfterLoad=true, base, editorView) {
     // If defined, set base; else remove base if it exists. This way, when setHTML is used to,
     // say, create a new empty document, base will be reset.
     _setBase(base)
-    const htmlView = (editorView) ? editorView : activeView()
-    const state = htmlView.state;
+    _setDoc(_nodeFromHTML(contents), focusAfterLoad, editorView);
+};
+
+/**
+ * Replace the contents of the editor with the doc `node`, leaving the selection at the 
+ * beginning. Setting the contents is not undoable.
+ * 
+ * @ignore
+ * @param {Node}        node                The doc Node to replace the editor contents with
+ * @param {boolean}     focusAfterLoad      Whether we should focus after load
+ * @param {EditorView}  editorView          The EditorView to set contents for, `activeView()` default
+ */
+function _setDoc(node, focusAfterLoad, editorView) {
+    const view = (editorView) ? editorView : activeView()
+    const state = view.state;
     const doc = state.doc;
     const tr = state.tr;
-    const node = _nodeFromHTML(contents);
     const selection = new AllSelection(doc);
     let transaction = tr
         .setSelection(selection)
@@ -796,8 +1002,76 @@ export function setHTML(contents, focusAfterLoad=true, base, editorView) {
     transaction
         .setSelection(TextSelection.near($pos))
         .scrollIntoView();
-    htmlView.dispatch(transaction);
-    if (focusAfterLoad) htmlView.focus();
+    view.dispatch(transaction);
+    if (focusAfterLoad) view.focus();
+};
+
+/**
+ * Get the contents of the editor as Markdown.
+ *
+ * Headings with ids, lists, code blocks with their language, tables, images with
+ * their dimensions, links, and formatting are all represented. Anything that has no
+ * Markdown representation, like underline or a table with spanned cells, is included
+ * as inline HTML so it is preserved when using `setMarkdown`.
+ *
+ * @returns {string} The Markdown for the full doc.
+ */
+export function getMarkdown() {
+    return markdownFromNode(activeView().state.doc);
+};
+
+/**
+ * Set the contents of the editor from Markdown.
+ *
+ * Inline and block HTML in the Markdown are loaded just as they would be by `setHTML`.
+ *
+ * @param {string}      markdown            The Markdown for the editor
+ * @param {boolean}     focusAfterLoad      Whether we should focus after load
+ * @param {string}      base                Value for base element for resolving relative src and hrefs
+ * @param {EditorView}  editorView          The EditorView to set Markdown for, `activeView()` default
+ */
+export function setMarkdown(markdown, focusAfterLoad=true, base, editorView) {
+    setHTML(htmlFromMarkdown(markdown), focusAfterLoad, base, editorView);
+};
+
+/**
+ * Get the contents of the editor as JSON.
+ *
+ * The JSON holds the `version` of the schema it was produced with, and the `doc` as 
+ * serialized by ProseMirror, which includes every node and mark along with its attrs.
+ * Use `setJSON` to restore it without loss.
+ *
+ * @returns {string} The JSON string, `{"version": <number>, "doc": <object>}`
+ */
+export function getJSON() {
+    const doc = activeView().state.doc;
+    return JSON.stringify({version: schemaVersion, doc: doc.toJSON()});
+};
+
+/**
+ * Set the contents of the editor from JSON produced by `getJSON`.
+ *
+ * JSON produced with an older version of the schema is migrated to the current one
+ * before loading. If the JSON can't be loaded, an `InvalidJSON` error is reported and
+ * the contents are left unchanged.
+ *
+ * @param {string | object} json            The JSON string or its parsed object
+ * @param {boolean}         focusAfterLoad  Whether we should focus after load
+ * @param {EditorView}      editorView      The EditorView to set JSON for, `activeView()` default
+ */
+export function setJSON(json, focusAfterLoad=true, editorView) {
+    let node;
+    try {
+        const object = (typeof json === 'string') ? JSON.parse(json) : json;
+        node = schema.nodeFromJSON(migrate(object));
+        node.check();
+    } catch (e) {
+        const error = MUError.InvalidJSON;
+        error.setInfo(e.message);
+        _callbackError(error);
+        return;
+    }
+    _setDoc(node, focusAfterLoad, editorView);
 };
 
 /**
@@ -1240,6 +1514,165 @@ export function toggleFormatCommand(type) {
     return commandAdapter
 }
 
+/**
+ * Toggle the highlight at the selection. The highlight is removed if the selection 
+ * is already highlighted in `color`; otherwise, the selection is highlighted in `color`.
+ * 
+ * @param {string | null} color     A CSS color, or null for the default highlight.
+ */
+export function toggleHighlight(color=null) {
+    const view = activeView()
+    const command = toggleColorMarkCommand(schema.marks.highlight, color)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Toggle the text color at the selection. The color is removed if the selection text 
+ * is already `color`; otherwise, the selection text is set to `color`.
+ * 
+ * @param {string} color    A CSS color.
+ */
+export function toggleColor(color) {
+    const view = activeView()
+    const command = toggleColorMarkCommand(schema.marks.color, color)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that toggles `markType`, a mark with a `color` attr, at the selection.
+ * 
+ * The color is normalized the way the DOM normalizes styles, so the same color specified 
+ * differently (e.g., "#ff0000" and "red") compares properly to what is in the document. 
+ * The command is not applicable if `color` is not a valid CSS color, or if it is null 
+ * but `markType` requires a color.
+ * 
+ * @ignore
+ * @param {MarkType}        markType    The highlight or color mark type.
+ * @param {string | null}   color       A CSS color.
+ */
+export function toggleColorMarkCommand(markType, color) {
+    const commandAdapter = (state, dispatch, view) => {
+        const value = (color == null) ? null : _cssColor(color)
+        if (value === null && ((color != null) || markType.attrs.color.isRequired)) return false
+        if (!_markApplies(state, markType)) return false
+        if (dispatch) {
+            const current = markThroughout(state, markType)
+            const remove = current && (current.attrs.color === value)
+            dispatch(_setMark(state, markType, remove ? null : markType.create({color: value})))
+            stateChanged(view)
+        }
+        return true
+    }
+    return commandAdapter
+}
+
+/**
+ * Return a Command that removes `markType` from the selection.
+ * 
+ * @ignore
+ * @param {MarkType}    markType    The mark type to remove.
+ */
+export function clearMarkCommand(markType) {
+    const commandAdapter = (state, dispatch, view) => {
+        if (!_markApplies(state, markType)) return false
+        if (dispatch) {
+            dispatch(_setMark(state, markType, null))
+            stateChanged(view)
+        }
+        return true
+    }
+    return commandAdapter
+}
+
+/**
+ * Return the mark of `markType` that applies to all of the text in the selection, else null.
+ * 
+ * @param {EditorState} state 
+ * @param {MarkType}    markType 
+ * @returns {Mark | null}
+ */
+export function markThroughout(state, markType) {
+    const {from, to, empty, $from} = state.selection;
+    if (empty) return markType.isInSet(state.storedMarks || $from.marks()) ?? null;
+    let mark = null, throughout = true;
+    state.doc.nodesBetween(from, to, node => {
+        if (!throughout) return false;
+        if (node.isText) {
+            const nodeMark = markType.isInSet(node.marks);
+            if (!nodeMark || (mark && !nodeMark.eq(mark))) throughout = false;
+            mark = mark ?? nodeMark;
+        };
+        return true;
+    });
+    return throughout ? mark : null;
+};
+
+/**
+ * Return whether the `markType` mark that applies to all of the text in the selection 
+ * has the CSS color `color`.
+ * 
+ * @param {EditorState} state 
+ * @param {MarkType}    markType    The highlight or color mark type.
+ * @param {string}      color       A CSS color.
+ * @returns {boolean}
+ */
+export function hasMarkColor(state, markType, color) {
+    const mark = markThroughout(state, markType);
+    return (mark !== null) && (mark.attrs.color === _cssColor(color));
+};
+
+/**
+ * Return whether `markType` can be applied to the selection, the same way that 
+ * prosemirror-commands' toggleMark decides.
+ * 
+ * @ignore
+ */
+function _markApplies(state, markType) {
+    const {empty, $cursor, ranges} = state.selection;
+    if (empty && !$cursor) return false;
+    if ($cursor) return !!$cursor.parent.type.allowsMarkType(markType);
+    return ranges.some(({$from, $to}) => {
+        let applies = $from.depth == 0 && state.doc.type.allowsMarkType(markType);
+        state.doc.nodesBetween($from.pos, $to.pos, node => {
+            if (applies) return false;
+            applies = node.inlineContent && node.type.allowsMarkType(markType);
+        });
+        return applies;
+    });
+};
+
+/**
+ * Return a transaction that replaces `markType` in the selection with `mark`, or 
+ * removes it if `mark` is null. With an empty selection, the stored marks change.
+ * 
+ * @ignore
+ */
+function _setMark(state, markType, mark) {
+    const tr = state.tr;
+    if (state.selection.empty) {
+        tr.removeStoredMark(markType);
+        if (mark) tr.addStoredMark(mark);
+    } else {
+        for (const {$from, $to} of state.selection.ranges) {
+            tr.removeMark($from.pos, $to.pos, markType);
+            if (mark) tr.addMark($from.pos, $to.pos, mark);
+        };
+    };
+    return tr.scrollIntoView();
+};
+
+/**
+ * Return `color` normalized the way the DOM normalizes a CSS color, or null if it is 
+ * not a valid CSS color.
+ * 
+ * @ignore
+ */
+function _cssColor(color) {
+    const span = document.createElement('span');
+    span.style.color = color;
+    return span.style.color || null;
+};
+
 /********************************************************************************
  * Styling
  * 1. Styles (P, H1-H6) are applied to blocks
@@ -1280,8 +1713,10 @@ export function setStyleCommand(style) {
                 return true;
             } else if (node.isBlock) {
                 if (node.type.inlineContent) {
+                    // Keep the alignment when changing between paragraph and heading styles
+                    const attrs = ('align' in protonode.attrs) ? {...protonode.attrs, align: node.attrs.align ?? null} : protonode.attrs;
                     try {
-                        transaction = tr.setNodeMarkup(pos, protonode.type, protonode.attrs);
+                        transaction = tr.setNodeMarkup(pos, protonode.type, attrs);
                     } catch(e) {
                         // We might hit multiple errors across the selection, but we will only return one MUError.Style
                         error = MUError.Style;
@@ -1311,6 +1746,52 @@ export function setStyleCommand(style) {
     return commandAdapter
 }
 
+/**
+ * Set the alignment of the paragraphs and headings in the selection to `align`.
+ * 
+ * @param {string}  align    One of "left", "center", "right", or "justify".
+ */
+export function setAlignment(align) {
+    const view = activeView()
+    const command = setAlignmentCommand(align)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that sets the alignment of the paragraphs and headings in the selection to `align`.
+ * 
+ * Left alignment is the default, so setting it removes the `align` attr. The command is not 
+ * applicable if `align` is unknown or if nothing in the selection can be aligned, like when 
+ * the selection is in a code block.
+ * 
+ * @ignore
+ * @param {string}  align    One of "left", "center", "right", or "justify".
+ */
+export function setAlignmentCommand(align) {
+    const commandAdapter = (state, dispatch, view) => {
+        if (!alignments.includes(align)) return false
+        const value = (align === 'left') ? null : align
+        const {from, to} = state.selection
+        const tr = state.tr
+        let alignable = false
+        state.doc.nodesBetween(from, to, (node, pos) => {
+            if (!node.isTextblock) return true
+            if ('align' in node.attrs) {
+                alignable = true
+                if (node.attrs.align !== value) tr.setNodeAttribute(pos, 'align', value)
+            }
+            return false
+        })
+        if (!alignable) return false
+        if (dispatch && tr.docChanged) {
+            dispatch(tr)
+            stateChanged(view)
+        }
+        return true
+    }
+    return commandAdapter
+}
+
 /**
  * Find the code_block node containing `state`'s selection, if any, walking up
  * from the selection's start.
@@ -1486,24 +1967,21 @@ export function toggleListItem(listType) {
  * the selection can be set to a list.
  * 
  * @ignore
- * @returns { 'UL' | 'OL' | null }
+ * @returns { 'UL' | 'OL' | 'TASK' | null }
  */
 export function getListType(state) {
     const selection = state.selection;
-    const ul = state.schema.nodes.bullet_list;
-    const ol = state.schema.nodes.ordered_list;
-    let hasUl = false;
-    let hasOl = false;
+    const listTypes = _listTypes(state.schema);
+    const foundTypes = new Set();
     state.doc.nodesBetween(selection.from, selection.to, node => {
         if (node.isBlock) {
-            hasUl = hasUl || (node.type === ul);
-            hasOl = hasOl || (node.type === ol);
+            if (listTypes.includes(node.type)) foundTypes.add(node.type);
             return true;  // Lists can nest, so we need to recurse
         }
         return false; 
     });
     // If selection contains no lists or multiple list types, return null; else return the one list type
-    const hasType = hasUl ? (hasOl ? null : ul) : (hasOl ? ol : null)
+    const hasType = (foundTypes.size === 1) ? foundTypes.values().next().value : null;
     return listTypeFor(hasType, state.schema);
 }
 
@@ -1513,77 +1991,241 @@ function _getListType() {
 };
 
 /**
- * Return the NodeType corresponding to `listType`, else null.
+ * Return the checked state of the task item the selection is in, else null.
  * 
  * @ignore
- * @param {"UL" | "OL" | string} listType The String corresponding to the NodeType
- * @returns {NodeType | null}
- */
-export function nodeTypeFor(listType, schema) {
-    if (listType === 'UL') {
-        return schema.nodes.bullet_list;
-    } else if (listType === 'OL') {
-        return schema.nodes.ordered_list;
-    } else {
-        return null;
-    };
+ * @param {EditorState} state 
+ * @returns {boolean | null}
+ */
+export function getTaskChecked(state) {
+    const $from = state.selection.$from;
+    for (let depth = $from.depth; depth > 0; depth--) {
+        const node = $from.node(depth);
+        if (node.type === state.schema.nodes.task_item) return node.attrs.checked;
+    }
+    return null;
 }
 
+function _getTaskChecked() {
+    const view = activeView()
+    return getTaskChecked(view.state);
+};
+
 /**
- * Return the String corresponding to `nodeType`, else null.
+ * Set the number of the first item of the ordered list holding the selection.
  * 
- * @ignore
- * @param {NodeType} nodeType The NodeType corresponding to the String
- * @returns {'UL' | 'OL' | null}
+ * @param {number} start    The number of the first item, an integer.
  */
-export function listTypeFor(nodeType, schema) {
-    if (nodeType === schema.nodes.bullet_list) {
-        return 'UL';
-    } else if (nodeType === schema.nodes.ordered_list) {
-        return 'OL';
-    } else {
-        return null;
-    };
+export function setListStart(start) {
+    const view = activeView()
+    let command = setListStartCommand(start);
+    let result = command(view.state, view.dispatch, view);
+    if (result) stateChanged(view);
+    return result;
 };
 
 /**
- * Return a command that performs `wrapInList` or `liftListItem` depending on whether the selection 
- * is in the `targetNodeType` or not. In the former case, it does the `listLiftItem`, basically 
- * unwrapping the list. If `wrapInList` or `liftListItem` fails, it does the command across the 
- * selection. This is done by finding the common list node for the selection and then recursively 
- * replacing existing list nodes among its descendants that are not of the `targetNodeType`. So, the 
- * every descendant is made into `targetNodeType`, but not the common list node or its siblings. Note 
- * that when the selection includes a mixture of list nodes and non-list nodes (e.g., begins in a 
- * top-level <p> and ends in a list), the wrapping might be done by `wrapInList`, which doesn't follow 
- * quite the same rules in that it leaves existing sub-lists untouched. The wrapping can also just 
- * fail entirely (e.g., selection starting in a sublist and going outside of the list).
- * 
- * It seems a little silly to be passing `listTypes` and `listItemTypes` to the functions called from here, but it 
- * does avoid those methods from knowing about state or schema.
+ * Return a Command that sets the number of the first item of the ordered list holding 
+ * the selection. 
  * 
- * Adapted from code in https://discuss.prosemirror.net/t/changing-the-node-type-of-a-list/4996.
+ * The command is not applicable unless the innermost list holding the selection is an 
+ * ordered list and `start` is an integer.
  * 
  * @ignore
- * @param {Schema}          schema              The schema holding the list and list item node types.
- * @param {NodeType}        targetNodeType      One of state.schema.nodes.bullet_list or ordered_list to change selection to.
- * @param {Attrs | null}    attrs               Attributes of the new list items.
- * @returns {Command}                           A command to wrap the selection in a list.
  */
-export function wrapInListCommand(schema, targetNodeType, attrs) {
-    const listTypes = [schema.nodes.bullet_list, schema.nodes.ordered_list];
-    const targetListItemType = schema.nodes.list_item;
-    const listItemTypes = [targetListItemType];
+export function setListStartCommand(start) {
+    const commandAdapter = (state, dispatch) => {
+        const list = _listAtSelection(state);
+        if ((list?.node.type !== state.schema.nodes.ordered_list) || !Number.isInteger(start)) return false;
+        if (dispatch && (list.node.attrs.order !== start)) {
+            dispatch(state.tr.setNodeAttribute(list.pos, 'order', start));
+        };
+        return true;
+    };
+
+    return commandAdapter;
+};
+
+/**
+ * Set the style of the numbers or bullets of the list holding the selection.
+ * 
+ * @param {string | null} listStyle For an ordered list, "decimal", "lower-alpha", "upper-alpha", "lower-roman", or "upper-roman". For a bullet list, "disc", "circle", or "square". Null uses the default style.
+ */
+export function setListStyle(listStyle) {
+    const view = activeView()
+    let command = setListStyleCommand(listStyle);
+    let result = command(view.state, view.dispatch, view);
+    if (result) stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that sets the style of the numbers or bullets of the list holding 
+ * the selection.
+ * 
+ * The command is not applicable unless the innermost list holding the selection is an 
+ * ordered or bullet list that supports `listStyle`.
+ * 
+ * @ignore
+ */
+export function setListStyleCommand(listStyle) {
+    const commandAdapter = (state, dispatch) => {
+        const list = _listAtSelection(state);
+        const supported = list && listStyles[list.node.type.name];
+        if (!supported || ((listStyle !== null) && !supported.includes(listStyle))) return false;
+        if (dispatch && (list.node.attrs.listStyle !== listStyle)) {
+            dispatch(state.tr.setNodeAttribute(list.pos, 'listStyle', listStyle));
+        };
+        return true;
+    };
+
+    return commandAdapter;
+};
+
+/**
+ * Return the start number and style of the innermost list holding the selection. The 
+ * `start` is null unless it is an ordered list, and both are null for a task list.
+ * 
+ * @ignore
+ * @param {EditorState} state 
+ * @returns {{start: number | null, style: string | null} | null}    Null if the selection is not in a list.
+ */
+export function getListAttributes(state) {
+    const list = _listAtSelection(state);
+    if (!list) return null;
+    const start = (list.node.type === state.schema.nodes.ordered_list) ? list.node.attrs.order : null;
+    return {start, style: list.node.attrs.listStyle ?? null};
+};
+
+/**
+ * Return the innermost list holding the start of the selection and its position, else null.
+ * @ignore
+ */
+function _listAtSelection(state) {
+    const $from = state.selection.$from;
+    const listTypes = _listTypes(state.schema);
+    for (let depth = $from.depth; depth > 0; depth--) {
+        const node = $from.node(depth);
+        if (listTypes.includes(node.type)) return {node, pos: $from.before(depth)};
+    };
+    return null;
+};
+
+/**
+ * Return the NodeType corresponding to `listType`, else null.
+ * 
+ * @ignore
+ * @param {"UL" | "OL" | "TASK" | string} listType The String corresponding to the NodeType
+ * @returns {NodeType | null}
+ */
+export function nodeTypeFor(listType, schema) {
+    if (listType === 'UL') {
+        return schema.nodes.bullet_list;
+    } else if (listType === 'OL') {
+        return schema.nodes.ordered_list;
+    } else if (listType === 'TASK') {
+        return schema.nodes.task_list;
+    } else {
+        return null;
+    };
+}
+
+/**
+ * Return the String corresponding to `nodeType`, else null.
+ * 
+ * @ignore
+ * @param {NodeType} nodeType The NodeType corresponding to the String
+ * @returns {'UL' | 'OL' | 'TASK' | null}
+ */
+export function listTypeFor(nodeType, schema) {
+    if (nodeType === schema.nodes.bullet_list) {
+        return 'UL';
+    } else if (nodeType === schema.nodes.ordered_list) {
+        return 'OL';
+    } else if (nodeType === schema.nodes.task_list) {
+        return 'TASK';
+    } else {
+        return null;
+    };
+};
+
+/**
+ * Return the list item NodeType that is held in a list of `listType`.
+ * 
+ * @ignore
+ * @param {NodeType} listType One of the list types in `schema`
+ * @returns {NodeType}
+ */
+export function listItemTypeFor(listType, schema) {
+    return (listType === schema.nodes.task_list) ? schema.nodes.task_item : schema.nodes.list_item;
+};
+
+/**
+ * Return the list NodeTypes in `schema`.
+ * 
+ * @ignore
+ * @param {Schema} schema 
+ * @returns {Array<NodeType>}
+ */
+function _listTypes(schema) {
+    return [schema.nodes.bullet_list, schema.nodes.ordered_list, schema.nodes.task_list];
+};
+
+/**
+ * Return the list item NodeTypes in `schema`.
+ * 
+ * @ignore
+ * @param {Schema} schema 
+ * @returns {Array<NodeType>}
+ */
+function _listItemTypes(schema) {
+    return [schema.nodes.list_item, schema.nodes.task_item];
+};
+
+/**
+ * Return a command that performs `wrapInList` or `liftListItem` depending on whether the selection 
+ * is in the `targetNodeType` or not. In the former case, it does the `listLiftItem`, basically 
+ * unwrapping the list. If `wrapInList` or `liftListItem` fails, it does the command across the 
+ * selection. This is done by finding the common list node for the selection and then recursively 
+ * replacing existing list nodes among its descendants that are not of the `targetNodeType`. So, the 
+ * every descendant is made into `targetNodeType`, but not the common list node or its siblings. Note 
+ * that when the selection includes a mixture of list nodes and non-list nodes (e.g., begins in a 
+ * top-level <p> and ends in a list), the wrapping might be done by `wrapInList`, which doesn't follow 
+ * quite the same rules in that it leaves existing sub-lists untouched. The wrapping can also just 
+ * fail entirely (e.g., selection starting in a sublist and going outside of the list).
+ * 
+ * A task_list holds task_items rather than list_items, so it can't be nested directly inside of a 
+ * bullet_list or ordered_list (or vice versa) the way `wrapInList` would otherwise do. When the 
+ * selection is in a list whose items are of a different type than `targetNodeType` holds, we 
+ * always change the type of the common list node instead.
+ * 
+ * It seems a little silly to be passing `listTypes` and `listItemTypes` to the functions called from here, but it 
+ * does avoid those methods from knowing about state or schema.
+ * 
+ * Adapted from code in https://discuss.prosemirror.net/t/changing-the-node-type-of-a-list/4996.
+ * 
+ * @ignore
+ * @param {Schema}          schema              The schema holding the list and list item node types.
+ * @param {NodeType}        targetNodeType      One of state.schema.nodes.bullet_list, ordered_list, or task_list to change selection to.
+ * @param {Attrs | null}    attrs               Attributes of the new list items.
+ * @returns {Command}                           A command to wrap the selection in a list.
+ */
+export function wrapInListCommand(schema, targetNodeType, attrs) {
+    const listTypes = _listTypes(schema);
+    const targetListItemType = listItemTypeFor(targetNodeType, schema);
+    const listItemTypes = _listItemTypes(schema);
 
     const commandAdapter = (state, dispatch, view) => {
         const inTargetNodeType = getListType(state) === listTypeFor(targetNodeType, state.schema)
-        const command = inTargetNodeType ? liftListItem(state.schema.nodes.list_item) : wrapInList(targetNodeType, attrs);
-        if (command(state)) {
+        const commonListNode = _findCommonListNode(state, listTypes);
+        const inIncompatibleList = commonListNode && !commonListNode.node.type.compatibleContent(targetNodeType);
+        const command = inTargetNodeType ? liftListItem(targetListItemType) : wrapInList(targetNodeType, attrs);
+        if (!inIncompatibleList && command(state)) {
             let result = command(state, dispatch);
             if (dispatch) stateChanged(view)
             return result;
         }
 
-        const commonListNode = _findCommonListNode(state, listTypes);
         if (!commonListNode) return false;
 
         if (dispatch) {
@@ -1644,8 +2286,8 @@ function _findCommonListNode(state, listTypes) {
  * 
  * @ignore
  * @param {Fragment}        content             The ProseMirror Fragment taken from the selection.
- * @param {NodeType}        targetListType      The bullet_list or ordered_list NodeType we are changing children to.
- * @param {NodeType}        targetListItemType  The list_item NodeType we are changing children to.
+ * @param {NodeType}        targetListType      The bullet_list, ordered_list, or task_list NodeType we are changing children to.
+ * @param {NodeType}        targetListItemType  The list_item or task_item NodeType we are changing children to.
  * @param {Array<NodeType>} listTypes           The list types we're looking for.
  * @param {Array<NodeType>} listItemTypes       The list item types we're looking for.
  * @returns {Fragment}  A ProseMirror Fragment with the changed nodes.
@@ -1713,6 +2355,194 @@ function updateNode(node, targetListType, targetListItemType, listTypes, listIte
     };
 };
 
+/********************************************************************************
+ * Definition Lists
+ */
+//MARK: Definition Lists
+
+/**
+ * Toggle a definition list at the selection.
+ * 
+ * If the selection is in a definition list, the list is removed, leaving a paragraph for 
+ * each of its terms and descriptions. Otherwise, the paragraphs and headings in the selection 
+ * are made into a definition list, alternating between terms and descriptions starting 
+ * with a term.
+ */
+export function toggleDefinitionList() {
+    const view = activeView()
+    let command = toggleDefinitionListCommand()
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that toggles a definition list at the selection.
+ * 
+ * The command is not applicable if the selection holds blocks other than paragraphs and 
+ * headings, or if a definition list can't be placed where they are.
+ * 
+ * @ignore
+ */
+export function toggleDefinitionListCommand() {
+    const commandAdapter = (state, dispatch, view) => {
+        const nodes = state.schema.nodes
+        const {from, to, $from, $to} = state.selection
+        const definitionList = definitionListAtSelection(state)
+        let transaction
+        // Every term and description is the same size as the paragraph it replaces or that 
+        // replaces it, so the selection only moves by the opening of the definition_list.
+        if (definitionList) {
+            const paragraphs = []
+            definitionList.node.forEach(item => paragraphs.push(nodes.paragraph.create(null, item.content)))
+            const end = definitionList.pos + definitionList.node.nodeSize
+            transaction = state.tr.replaceWith(definitionList.pos, end, paragraphs)
+            transaction.setSelection(TextSelection.create(transaction.doc, from - 1, to - 1))
+        } else {
+            const range = $from.blockRange($to)
+            if (!range) return false
+            if (!range.parent.canReplaceWith(range.startIndex, range.endIndex, nodes.definition_list)) return false
+            const items = []
+            for (let index = range.startIndex; index < range.endIndex; index++) {
+                const block = range.parent.child(index)
+                if ((block.type !== nodes.paragraph) && (block.type !== nodes.heading)) return false
+                const itemType = (items.length % 2 === 0) ? nodes.definition_term : nodes.definition_desc
+                items.push(itemType.create(null, block.content))
+            }
+            transaction = state.tr.replaceWith(range.start, range.end, nodes.definition_list.create(null, items))
+            transaction.setSelection(TextSelection.create(transaction.doc, from + 1, to + 1))
+        }
+        if (dispatch) {
+            dispatch(transaction)
+            stateChanged(view)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return a Command that splits the term or description holding the selection.
+ * 
+ * When `alternate` is true (for Enter), a term is split into a description and a description 
+ * into a term. Otherwise (for Shift-Enter), the split produces another of the same type. Either 
+ * way, an empty term or description at the end of the list is lifted out of the list into a 
+ * paragraph, the same way Enter in an empty list item ends the list.
+ * 
+ * @ignore
+ * @param {boolean} alternate   Whether to alternate between terms and descriptions.
+ */
+export function splitDefinitionCommand(alternate=true) {
+    const commandAdapter = (state, dispatch, view) => {
+        const {$from, $to} = state.selection
+        const item = $from.parent
+        if (!_isDefinitionItem(item) || !$from.sameParent($to)) return false
+        if (dispatch) {
+            const transaction = state.tr
+            const list = $from.node(-1)
+            if ((item.content.size === 0) && ($from.index(-1) === list.childCount - 1)) {
+                _liftDefinition(transaction, $from.before())
+            } else {
+                const nodes = state.schema.nodes
+                const otherType = (item.type === nodes.definition_term) ? nodes.definition_desc : nodes.definition_term
+                transaction.deleteSelection()
+                transaction.split(transaction.selection.from, 1, [{type: alternate ? otherType : item.type}])
+            }
+            dispatch(transaction.scrollIntoView())
+            stateChanged(view)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return the innermost definition list containing `state`'s selection and its position, 
+ * or null if the selection is not in a definition list.
+ *
+ * @ignore
+ * @param {EditorState} state
+ * @returns {{node: Node, pos: number} | null}
+ */
+export function definitionListAtSelection(state) {
+    const {$from} = state.selection
+    for (let depth = $from.depth; depth > 0; depth--) {
+        const node = $from.node(depth)
+        if (node.type === state.schema.nodes.definition_list) return {node, pos: $from.before(depth)}
+    }
+    return null
+}
+
+/**
+ * Return whether `node` is a term or description in a definition list.
+ * @ignore
+ */
+function _isDefinitionItem(node) {
+    const nodes = node.type.schema.nodes
+    return (node.type === nodes.definition_term) || (node.type === nodes.definition_desc)
+}
+
+/**
+ * Return whether the selection starts and ends in a term or description.
+ * @ignore
+ */
+function _selectionInDefinitions(state) {
+    const {$from, $to} = state.selection
+    return _isDefinitionItem($from.parent) && _isDefinitionItem($to.parent)
+}
+
+/**
+ * Indent or outdent the terms and descriptions in the selection, returning false if 
+ * nothing changed. Indenting makes a term into a description. Outdenting makes a description 
+ * into a term, and a term is lifted out of the list into a paragraph.
+ * @ignore
+ */
+function _dentDefinitions(state, dispatch, indent) {
+    const nodes = state.schema.nodes
+    const {from, to} = state.selection
+    const items = []
+    state.doc.nodesBetween(from, to, (node, pos) => {
+        if (_isDefinitionItem(node)) items.push({node, pos})
+        return !node.isTextblock
+    })
+    const transaction = state.tr
+    let dented = false
+    // Work back from the end so that the positions of earlier items don't change
+    for (const {node, pos} of items.reverse()) {
+        if (indent) {
+            if (node.type !== nodes.definition_term) continue
+            transaction.setNodeMarkup(pos, nodes.definition_desc)
+        } else if (node.type === nodes.definition_desc) {
+            transaction.setNodeMarkup(pos, nodes.definition_term)
+        } else {
+            _liftDefinition(transaction, pos)
+        }
+        dented = true
+    }
+    if (dispatch && dented) dispatch(transaction)
+    return dented
+}
+
+/**
+ * Lift the term or description at `pos` out of its definition list into a paragraph, 
+ * splitting the list around it as needed.
+ * @ignore
+ */
+function _liftDefinition(transaction, pos) {
+    const $pos = transaction.doc.resolve(pos)
+    const item = $pos.nodeAfter
+    const index = $pos.index()
+    if (index < $pos.parent.childCount - 1) transaction.split(pos + item.nodeSize)
+    if (index > 0) {
+        transaction.split(pos)
+        pos += 2    // Past the end of the list before it and the start of the list holding it
+    }
+    // Now item is the only one in the list, which the paragraph replaces
+    const paragraph = transaction.doc.type.schema.nodes.paragraph
+    const slice = new Slice(Fragment.from(paragraph.create()), 0, 0)
+    transaction.step(new ReplaceAroundStep(pos - 1, pos + item.nodeSize + 1, pos + 1, pos + item.nodeSize - 1, slice, 1, true))
+}
+
 /********************************************************************************
  * Indenting and Outdenting
  */
@@ -1722,6 +2552,7 @@ function updateNode(node, targetListType, targetListItemType, listTypes, listIte
  * Do a context-sensitive indent.
  *
  * If in a list, indent the item to a more nested level in the list if appropriate.
+ * If in a definition list, make terms into descriptions.
  * If in a blockquote, add another blockquote to indent further.
  * Else, put into a blockquote to indent.
  *
@@ -1735,10 +2566,10 @@ export function indent() {
 export function indentCommand() {
     let commandAdapter = (viewState, dispatch, view) => {
         let state = view?.state ?? viewState;
+        if (_selectionInDefinitions(state)) return _dentDefinitions(state, dispatch, true)
         let blockquote = state.schema.nodes.blockquote
-        let li = state.schema.nodes.list_item
-        let ul = state.schema.nodes.bullet_list
-        let ol = state.schema.nodes.ordered_list
+        let listTypes = _listTypes(state.schema)
+        let listItemTypes = _listItemTypes(state.schema)
         let div = state.schema.nodes.div
         const { $from, $to } = state.selection;
         let tr = state.tr;
@@ -1749,7 +2580,7 @@ export function indentCommand() {
                 const $start = tr.doc.resolve(pos);
                 const $end = tr.doc.resolve(pos + node.nodeSize);
                 const range = $start.blockRange($end);
-                if ((range) && (node.type != li)) { // We will never wrap an li
+                if ((range) && !listItemTypes.includes(node.type)) { // We will never wrap an li
                     // Later we will check if the range is valid for wrapping
                     nodePos.push({node: node, pos: pos})
                 }
@@ -1768,8 +2599,8 @@ export function indentCommand() {
                 let $end = tr.doc.resolve(pos + node.nodeSize)
                 let range = $start.blockRange($end) // We know range will be defined
                 // We need to determine what we will wrap in
-                let nodeIsList = (node.type == ul) || (node.type == ol)
-                if (!nodeIsList && ($start.parent.type == li)) {
+                let nodeIsList = listTypes.includes(node.type)
+                if (!nodeIsList && listItemTypes.includes($start.parent.type)) {
                     // We are going to try to wrap the list in a sublist, but if we 
                     // cannot, then we will try to wrap the list in a blockquote
                     let list = $start.node($start.depth - 1)
@@ -1796,7 +2627,7 @@ export function indentCommand() {
                             parentsInSelection = allParents.filter((np) => {
                                 let npNode = np.node
                                 if (npNode.type == div) return true         // Always skip divs
-                                let npIsList = (npNode.type == ul) || (npNode.type == ol)
+                                let npIsList = listTypes.includes(npNode.type)
                                 if (!npIsList) return false                 // We are only skipping lists
                                 if (npNode.type != node.type) return false  // We are only skipping parent lists of same type
                                 // And only lists outside of the original selection
@@ -1833,6 +2664,7 @@ export function indentCommand() {
  * Do a context-sensitive outdent.
  *
  * If in a list, outdent the item to a less nested level in the list if appropriate.
+ * If in a definition list, make descriptions into terms and lift terms out of the list.
  * If in a blockquote, remove a blockquote to outdent further.
  * Else, do nothing.
  * 
@@ -1851,6 +2683,7 @@ export function outdent() {
 export function outdentCommand() {
     let commandAdapter = (viewState, dispatch, view) => {
         let state = view?.state ?? viewState;
+        if (_selectionInDefinitions(state)) return _dentDefinitions(state, dispatch, false)
         const { $from, $to } = state.selection;
         let tr = state.tr;
         let willLift = false
@@ -1923,6 +2756,133 @@ function parents($pos, start, end) {
     return parents
 }
 
+/********************************************************************************
+ * Moving Blocks
+ */
+//MARK: Moving Blocks
+
+/**
+ * Move the top-level block, list item, or table row holding the selection up past 
+ * the one before it, keeping the selection. When the selection spans several of 
+ * them, they move as a unit.
+ * 
+ * @returns {boolean}   True if anything moved.
+ */
+export function moveBlockUp() {
+    const view = activeView()
+    let command = moveBlockCommand('UP')
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Move the top-level block, list item, or table row holding the selection down past 
+ * the one after it, keeping the selection. When the selection spans several of 
+ * them, they move as a unit.
+ * 
+ * @returns {boolean}   True if anything moved.
+ */
+export function moveBlockDown() {
+    const view = activeView()
+    let command = moveBlockCommand('DOWN')
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that moves the blocks holding the selection past their sibling in 
+ * `direction`. The blocks are the children of the innermost list, table, or the doc 
+ * that holds the whole selection, so they are list items, table rows, or top-level 
+ * blocks. 
+ * 
+ * The command is not applicable if there is no sibling to move past. In a table, it's 
+ * also not applicable if a header row or a cell that spans rows would move.
+ * 
+ * @ignore
+ * @param {string} direction    'UP' or 'DOWN'.
+ */
+export function moveBlockCommand(direction) {
+    const commandAdapter = (state, dispatch, view) => {
+        const range = _moveRange(state)
+        if (!range) return false
+        const {$pos, depth, startIndex, endIndex} = range
+        const container = $pos.node(depth)
+        const up = direction === 'UP'
+        const siblingIndex = up ? startIndex - 1 : endIndex + 1
+        if ((siblingIndex < 0) || (siblingIndex >= container.childCount)) return false
+        const firstIndex = Math.min(startIndex, siblingIndex)
+        const lastIndex = Math.max(endIndex, siblingIndex)
+        if ((container.type.spec.tableRole === 'table') && !_canMoveRows(container, firstIndex, lastIndex)) return false
+        if (dispatch) {
+            const sibling = container.child(siblingIndex)
+            const moved = []
+            for (let index = startIndex; index <= endIndex; index++) moved.push(container.child(index))
+            const children = up ? [...moved, sibling] : [sibling, ...moved]
+            const from = $pos.posAtIndex(firstIndex, depth)
+            const to = $pos.posAtIndex(lastIndex + 1, depth)
+            const transaction = state.tr.replaceWith(from, to, Fragment.fromArray(children))
+            // The selection moves with the blocks, by the size of the sibling
+            const offset = up ? -sibling.nodeSize : sibling.nodeSize
+            const selection = state.selection.toJSON()
+            selection.anchor += offset
+            if (selection.head !== undefined) selection.head += offset
+            transaction.setSelection(Selection.fromJSON(transaction.doc, selection)).scrollIntoView()
+            dispatch(transaction)
+            stateChanged(view)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return the innermost list, table, or doc that holds the whole selection, as the 
+ * `depth` of a ResolvedPos `$pos` in it, along with the indices of its first and last 
+ * children that hold the selection. Return null for an AllSelection, since there is 
+ * nothing left to move past.
+ * 
+ * @ignore
+ * @param {EditorState} state
+ * @returns {{$pos: ResolvedPos, depth: number, startIndex: number, endIndex: number} | null}
+ */
+function _moveRange(state) {
+    const selection = state.selection
+    if (selection instanceof AllSelection) return null
+    let {$from, $to} = selection
+    if (selection instanceof CellSelection) {
+        // The ranges of a CellSelection are its cells, so use the corners instead
+        [$from, $to] = [selection.$anchorCell, selection.$headCell].sort((a, b) => a.pos - b.pos)
+    }
+    const listTypes = _listTypes(state.schema)
+    for (let depth = $from.sharedDepth($to.pos); depth >= 0; depth--) {
+        const node = $from.node(depth)
+        const isContainer = (depth === 0) || listTypes.includes(node.type) || (node.type.spec.tableRole === 'table')
+        if (!isContainer) continue
+        const startIndex = $from.index(depth)
+        // When the selection ends right before a child, that child doesn't hold it
+        const endIndex = (($to.depth > depth) || ($to.index(depth) === startIndex)) ? $to.index(depth) : $to.index(depth) - 1
+        return {$pos: $from, depth, startIndex, endIndex}
+    }
+    return null
+}
+
+/**
+ * Return whether the rows from `firstIndex` to `lastIndex` of `table` can be reordered, 
+ * which requires that none is a header row and that no cell spans rows into or out of them.
+ * 
+ * @ignore
+ */
+function _canMoveRows(table, firstIndex, lastIndex) {
+    const map = TableMap.get(table)
+    for (let row = firstIndex; row <= lastIndex; row++) {
+        if (_isHeaderRow(table.child(row))) return false
+        for (let col = 0; col < map.width; col++) {
+            const rect = map.findCell(map.map[row * map.width + col])
+            if ((rect.bottom - rect.top) > 1) return false
+        }
+    }
+    return true
+}
+
 /********************************************************************************
  * Clean up to avoid ugly HTML
  */
@@ -1948,60 +2908,10 @@ function _cleanUpTypesWithin(names, node) {
     };
 };
 
-/**
- * Do a depth-first traversal from node, removing spans starting at the leaf nodes.
- * 
- * @ignore
- * @returns {number}    The number of spans removed
- */
-function _cleanUpSpansWithin(node, spansRemoved) {
-    return _cleanUpSpansDivsWithin(node, 'SPAN', spansRemoved);
-};
-
-/**
- * Do a depth-first traversal from node, removing divs starting at the leaf nodes.
- * 
- * @ignore
- * @returns {number}    The number of divs removed
+/********************************************************************************
+ * Selection
  */
-function _cleanUpDivsWithin(node, divsRemoved) {
-    return _cleanUpSpansDivsWithin(node, 'DIV', divsRemoved);
-}
-
-/**
- * Do a depth-first traversal from node, removing divs/spans starting at the leaf nodes.
- * 
- * @ignore
- * @returns {number}    The number of divs/spans removed
- */
-function _cleanUpSpansDivsWithin(node, type, removed) {
-    removed = removed ?? 0;
-    // Nested span/divs show up as children of a span/div.
-    const children = node.children;
-    let child = (children.length > 0) ? children[0] : null;
-    while (child) {
-        let nextChild = child.nextElementSibling;
-        removed = _cleanUpSpansDivsWithin(child, type, removed);
-        child = nextChild;
-    };
-    if (node.nodeName === type) {
-        removed++;
-        if (node.childNodes.length > 0) {   // Use childNodes because we need text nodes
-            const template = document.createElement('template');
-            template.innerHTML = node.innerHTML;
-            const newElement = template.content;
-            node.replaceWith(newElement);
-        } else {
-            node.parentNode.removeChild(node);
-        };
-    };
-    return removed;
-};
-
-/********************************************************************************
- * Selection
- */
-//MARK: Selection
+//MARK: Selection
 
 /**
  * Populate a dictionary of properties about the current selection
@@ -2062,6 +2972,8 @@ function _getSelectionState() {
     state['width'] = imageAttributes['width'];
     state['height'] = imageAttributes['height'];
     state['scale'] = imageAttributes['scale'];
+    state['caption'] = imageAttributes['caption'];
+    state['imageAlign'] = (imageAttributes['src'] !== undefined) ? (imageAttributes['align'] ?? 'inline') : undefined;
     //// Table
     const tableAttributes = _getTableAttributes();
     state['table'] = tableAttributes.table;
@@ -2074,11 +2986,26 @@ function _getSelectionState() {
     state['row'] = tableAttributes.row;
     state['col'] = tableAttributes.col;
     state['border'] = tableAttributes.border
+    state['colwidths'] = tableAttributes.colwidths;   // The width in px or null for each column
+    state['cellRowspan'] = tableAttributes.cellRowspan;
+    state['cellColspan'] = tableAttributes.cellColspan;
+    state['cellBackground'] = tableAttributes.cellBackground;
+    state['cellAlign'] = tableAttributes.cellAlign;
+    state['cellValign'] = tableAttributes.cellValign;
+    state['headerColumn'] = tableAttributes.headerColumn;
+    state['tableCaption'] = tableAttributes.caption;     // The image caption is in state['caption']
     //// Style
     state['style'] = _getParagraphStyle();
+    state['align'] = _getAlignment();
     state['list'] = _getListType();
     state['li'] = state['list'] !== null;   // We are always in a li by definition for ProseMirror, right?
+    state['checked'] = _getTaskChecked();   // Null unless in a task item
+    const listAttributes = getListAttributes(view.state);
+    state['listStart'] = listAttributes?.start ?? null;     // Null unless in an ordered list
+    state['listStyle'] = listAttributes?.style ?? null;     // Null for the default style
     state['quote'] = isIndented();
+    state['callout'] = _getCalloutKind();   // Null unless in a callout
+    state['dl'] = definitionListAtSelection(view.state) !== null;
     // Format
     const markTypes = _getMarkTypes();
     state['bold'] = markTypes.has(schema.marks.strong);
@@ -2088,6 +3015,9 @@ function _getSelectionState() {
     state['sub'] = markTypes.has(schema.marks.sub);
     state['sup'] = markTypes.has(schema.marks.sup);
     state['code'] = markTypes.has(schema.marks.code);
+    state['highlight'] = markTypes.has(schema.marks.highlight);
+    state['highlightColor'] = _getMarkColor(schema.marks.highlight);  // Null unless the same highlight color throughout
+    state['color'] = _getMarkColor(schema.marks.color);                // Null unless the same text color throughout
     // Undo/redo availability
     state['canundo'] = canUndo();
     state['canredo'] = canRedo();
@@ -2183,6 +3113,18 @@ function _getMarkTypes() {
     }
 };
 
+/**
+ * Return the `color` attr of the `markType` mark that applies throughout the selection, or null.
+ * 
+ * @ignore
+ * @param {MarkType} markType   The highlight or color mark type.
+ * @returns {string | null}     The CSS color.
+ */
+function _getMarkColor(markType) {
+    const view = activeView()
+    return markThroughout(view.state, markType)?.attrs.color ?? null;
+};
+
 /**
  * Return the link attributes at the selection.
  * 
@@ -2217,15 +3159,18 @@ function _getImageAttributes() {
 export function getImageAttributes(state) {
     const selection = state.selection;
     const selectedNodes = [];
-    state.doc.nodesBetween(selection.from, selection.to, node => {
+    state.doc.nodesBetween(selection.from, selection.to, (node, pos) => {
         if (node.type === state.schema.nodes.image)  {
-            selectedNodes.push(node);
+            selectedNodes.push({node, pos});
             return false;
         };
         return true;
     });
-    const selectedNode = (selectedNodes.length === 1) && selectedNodes[0];
-    return selectedNode ? selectedNode.attrs : {};
+    if (selectedNodes.length !== 1) return {};
+    const {node, pos} = selectedNodes[0];
+    // The caption is null unless the image is in a figure
+    const figure = _figureAt(state.doc, pos);
+    return {...node.attrs, caption: figure ? figure.node.lastChild.textContent : null};
 };
 
 /**
@@ -2260,6 +3205,7 @@ function _getTableAttributes(state) {
                 viewState.doc.nodesBetween(attributes.from, attributes.to, (node) => {
                     switch (node.type) {
                         case nodeTypes.table_header:
+                            if (node.attrs.scope === 'row') return false;   // In the header column, not the header row
                             attributes.header = true;
                             attributes.colspan = node.attrs.colspan;
                             if (attributes.colspan) {
@@ -2274,22 +3220,32 @@ function _getTableAttributes(state) {
                     };
                     return true;
                 });
-                // And its border settings
+                // And its border settings and column widths
                 attributes.border = _getBorder(node);
-                return true;
-            case nodeTypes.table_header:
-                attributes.thead = true;                        // We selected the header
-                attributes.tbody = false;
-                attributes.row = $pos.index() + 1;              // The row will be 1 by definition
-                attributes.col = 1;                             // Headers are always colspanned, so col=1
+                attributes.colwidths = _columnWidths(node);
+                // And its header column and caption
+                attributes.headerColumn = _hasHeaderColumn(node);
+                attributes.caption = ($pos.parent.type === nodeTypes.captioned_table) ? $pos.parent.firstChild.textContent : null;
                 return true;
             case nodeTypes.table_row:
                 attributes.row = $pos.index() + 1;              // We are in some row, but could be the header row
                 return true;
+            case nodeTypes.table_header:
+                if (node.attrs.scope !== 'row') {
+                    attributes.thead = true;                    // We selected the header
+                    attributes.tbody = false;
+                    attributes.row = $pos.index() + 1;          // The row will be 1 by definition
+                    attributes.col = 1;                         // Headers are always colspanned, so col=1
+                    _setCellAttributes(attributes, node);
+                    return true;
+                };
+                // A header cell in the header column is part of the body
+                // falls through
             case nodeTypes.table_cell:
                 attributes.tbody = true;                        // We selected the body
                 attributes.thead = false;
                 attributes.col = $pos.index() + 1;              // We selected a body cell
+                _setCellAttributes(attributes, node);
                 return false;
         };
         return true;
@@ -2297,6 +3253,20 @@ function _getTableAttributes(state) {
    return attributes;
 }
 
+/**
+ * Set the spans and formatting of `cell` in `attributes` unless already set, so that for 
+ * a CellSelection, they are for its first cell.
+ * @ignore
+ */
+function _setCellAttributes(attributes, cell) {
+    if (attributes.cellRowspan !== undefined) return;
+    attributes.cellRowspan = cell.attrs.rowspan;
+    attributes.cellColspan = cell.attrs.colspan;
+    attributes.cellBackground = cell.attrs.background;
+    attributes.cellAlign = cell.attrs.align;
+    attributes.cellValign = cell.attrs.valign;
+}
+
 /**
  * Return the paragraph style at the selection. 
  * If the selection contains multiple styles, return the first one with a "+" after it.
@@ -2324,6 +3294,46 @@ export function paragraphStyle(state) {
     return (nodeTypes.size <= 1) ? firstStyle : firstStyle + '+'
 }
 
+/**
+ * Return the kind of the callout at the selection, or null if it's not in one.
+ * 
+ * @ignore
+ * @returns {string | null}
+ */
+function _getCalloutKind() {
+    const view = activeView()
+    return getCalloutKind(view.state)
+};
+
+/**
+ * Return the alignment of the paragraphs and headings at the selection.
+ * 
+ * @ignore
+ * @returns {string | null}   One of "left", "center", "right", or "justify", or null.
+ */
+function _getAlignment() {
+    const view = activeView()
+    return getAlignment(view.state)
+};
+
+/**
+ * Return the alignment of the paragraphs and headings in the selection, or null if 
+ * there are none or they are aligned differently.
+ * 
+ * @param {EditorState} state 
+ * @returns {string | null}   One of "left", "center", "right", or "justify", or null.
+ */
+export function getAlignment(state) {
+    const {from, to} = state.selection;
+    const aligns = new Set();
+    state.doc.nodesBetween(from, to, node => {
+        if (!node.isTextblock) return true;
+        if ('align' in node.attrs) aligns.add(node.attrs.align ?? 'left');
+        return false;
+    });
+    return (aligns.size === 1) ? aligns.values().next().value : null;
+}
+
 /**
  * Given a ProseMirror Node, return the HTML tag it corresponds to in the MarkupEditor.
  * Default is "P" if node.type.name is not recognized (e.g., for HR).
@@ -2614,13 +3624,14 @@ export function canRedo() {
 }
 
 /**
- * Return a command to undo and do the proper callbacks.
+ * Return a command to undo and do the proper callbacks. Right after an input rule 
+ * fires, undo restores the text that triggered it rather than undoing the typing.
  * 
  * @ignore
  */
 export function undoCommand() {
     let commandAdapter = (state, dispatch, view) => {
-        let result = undo(state, dispatch);
+        let result = undoInputRule(state, dispatch) || undo(state, dispatch);
         if (result && dispatch) {
             stateChanged(view)
         }
@@ -2666,7 +3677,10 @@ export function testBlockquoteEnter() {
  */
 export function testListEnter() {
     const view = activeView()
-    const splitCommand = splitListItem(schema.nodes.list_item);
+    const splitCommand = chainCommands(
+        splitListItem(schema.nodes.list_item),
+        splitListItem(schema.nodes.task_item, {checked: false})
+    );
     splitCommand(view.state, view.dispatch);
 };
 
@@ -2702,7 +3716,7 @@ export function testPasteHTMLPreprocessing(html) {
  * @param {string}  html    The HTML to paste
  */
 export function testPasteTextPreprocessing(html) {
-    const node = _nodeFromHTML(_preprocessPasteText(html));
+    const node = _nodeFromHTML(_preprocessPasteText(_preprocessPasteTable(html)));
     const fragment = fragmentFromNode(node);
     const minimalHTML = _minimalHTML(fragment);
     return minimalHTML;
@@ -3012,6 +4026,147 @@ export function insertHRuleCommand() {
     return commandAdapter
 }
 
+/********************************************************************************
+ * Details
+ */
+//MARK: Details
+
+/**
+ * Insert an open details section at the selection, with `summary` as the text of its
+ * summary followed by an empty paragraph. The selection is left in the summary.
+ *
+ * @param {string}  summary     The text of the summary, which may be empty.
+ */
+export function insertDetails(summary='') {
+    const view = activeView()
+    let command = insertDetailsCommand(summary)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that inserts an open details section at the selection.
+ *
+ * The command is not applicable if a details section can't be placed at the selection,
+ * like in a code block.
+ *
+ * @ignore
+ * @param {string}  summary     The text of the summary, which may be empty.
+ */
+export function insertDetailsCommand(summary='') {
+    const commandAdapter = (state, dispatch, view) => {
+        const nodes = state.schema.nodes
+        const summaryNode = nodes.details_summary.create(null, summary ? state.schema.text(summary) : null)
+        const detailsNode = nodes.details.create({open: true}, [summaryNode, nodes.paragraph.create()])
+        const {$from} = state.selection
+        if ($from.parent.type.spec.code) return false
+        if (dispatch) {
+            const transaction = state.tr.replaceSelectionWith(detailsNode)
+            // The details might have replaced the block the selection was in, so find it
+            const start = transaction.mapping.map(state.selection.from, -1)
+            let detailsPos = null
+            transaction.doc.nodesBetween(start, transaction.doc.content.size, (node, pos) => {
+                if ((detailsPos === null) && (pos >= start) && (node.type === nodes.details)) detailsPos = pos
+                return detailsPos === null
+            })
+            // Inside of the details and at the end of its summary
+            transaction.setSelection(TextSelection.create(transaction.doc, detailsPos + 2 + summaryNode.content.size))
+            dispatch(transaction)
+            stateChanged(view)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/********************************************************************************
+ * Callouts
+ */
+//MARK: Callouts
+
+/**
+ * Toggle a callout of `kind`, like "note" or "warning", at the selection.
+ * 
+ * If the selection is in a callout of `kind`, the callout is removed, leaving its content 
+ * in place. If the selection is in a callout of another kind, the callout is changed to 
+ * `kind`. Otherwise, the blocks in the selection are wrapped in a new callout of `kind`.
+ *
+ * @param {string}  kind    The kind of callout, one of the kinds in the toolbar config's `calloutMenu` by default.
+ */
+export function toggleCallout(kind) {
+    const view = activeView()
+    let command = toggleCalloutCommand(kind)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that toggles a callout of `kind` at the selection.
+ * 
+ * The command is not applicable if `kind` can't be held in a class, or if the selection 
+ * can't be wrapped in a callout.
+ * 
+ * @ignore
+ * @param {string}  kind    The kind of callout.
+ */
+export function toggleCalloutCommand(kind) {
+    const commandAdapter = (state, dispatch, view) => {
+        if (!isCalloutKind(kind)) return false
+        const callout = calloutAtSelection(state)
+        let transaction
+        if (callout && (callout.node.attrs.kind === kind)) {
+            const $start = state.doc.resolve(callout.pos + 1)
+            const $end = state.doc.resolve(callout.pos + callout.node.nodeSize - 1)
+            const range = new NodeRange($start, $end, $start.depth)
+            const target = liftTarget(range)
+            if (target === null) return false
+            transaction = state.tr.lift(range, target)
+        } else if (callout) {
+            transaction = state.tr.setNodeAttribute(callout.pos, 'kind', kind)
+        } else {
+            const {$from, $to} = state.selection
+            const range = $from.blockRange($to)
+            const wrapping = range && findWrapping(range, state.schema.nodes.callout, {kind})
+            if (!wrapping) return false
+            transaction = state.tr.wrap(range, wrapping)
+        }
+        if (dispatch) {
+            dispatch(transaction)
+            stateChanged(view)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return the innermost callout node containing `state`'s selection and its position, or 
+ * null if the selection is not in a callout.
+ *
+ * @ignore
+ * @param {EditorState} state
+ * @returns {{node: Node, pos: number} | null}
+ */
+export function calloutAtSelection(state) {
+    const {$from} = state.selection
+    for (let depth = $from.depth; depth > 0; depth--) {
+        const node = $from.node(depth)
+        if (node.type === state.schema.nodes.callout) return {node, pos: $from.before(depth)}
+    }
+    return null
+}
+
+/**
+ * Return the kind of the callout containing the selection, or null if it is not in a callout.
+ *
+ * @ignore
+ * @param {EditorState} state
+ * @returns {string | null}
+ */
+export function getCalloutKind(state) {
+    return calloutAtSelection(state)?.node.attrs.kind ?? null
+}
+
 /********************************************************************************
  * Images
  */
@@ -3019,21 +4174,25 @@ export function insertHRuleCommand() {
 
 /**
  * Insert the image at src with alt text, signaling state changed when done loading.
- * We leave the selection after the inserted image.
+ * We leave the selection after the inserted image. If `caption` is a string, even an 
+ * empty one, the image is inserted in a figure with `caption` as its figcaption.
  *
  * @param {string}              src         The url of the image.
  * @param {string}              alt         The alt text describing the image.
+ * @param {string | null}       caption     The figure caption, or null for an image that is not in a figure.
+ * @param {string | null}       align       One of "left", "center", or "right", or null for an image inline with text.
  */
-export function insertImage(src, alt) {
+export function insertImage(src, alt, caption=null, align=null) {
     const view = activeView()
-    let command = insertImageCommand(src, alt)
+    let command = insertImageCommand(src, alt, caption, align)
     return command(view.state, view.dispatch, view)
 };
 
-export function insertImageCommand(src, alt) {
+export function insertImageCommand(src, alt, caption=null, align=null) {
     const commandAdapter = (state, dispatch, view) => {
-        const imageNode = view.state.schema.nodes.image.create({src: src, alt: alt})
-        const transaction = view.state.tr.replaceSelectionWith(imageNode, true)
+        const imageNode = view.state.schema.nodes.image.create({src: src, alt: alt, align: _imageAlign(align)})
+        const node = (caption === null) ? imageNode : _figureNode(imageNode, caption, view.state.schema)
+        const transaction = view.state.tr.replaceSelectionWith(node, true)
         view.dispatch(transaction);
         stateChanged(view);
         return true;
@@ -3044,17 +4203,25 @@ export function insertImageCommand(src, alt) {
 
 /**
  * Modify the attributes of the image at selection.
+ * 
+ * If `caption` is a string, even an empty one, then the image is wrapped in a figure if it 
+ * isn't already, and the figcaption text is set to `caption` if it is different. If `caption` 
+ * is null, the image is unwrapped from its figure, and the figcaption is removed. If `caption` 
+ * is undefined, whether the image is in a figure is left unchanged. Similarly, the alignment 
+ * is left unchanged if `align` is undefined.
  *
  * @param {string}              src         The url of the image.
  * @param {string}              alt         The alt text describing the image.
+ * @param {string | null}       caption     The figure caption, or null for an image that is not in a figure.
+ * @param {string | null}       align       One of "left", "center", or "right", or null for an image inline with text.
  */
-export function modifyImage(src, alt) {
+export function modifyImage(src, alt, caption, align) {
     const view = activeView()
-    let command = modifyImageCommand(src, alt);
+    let command = modifyImageCommand(src, alt, caption, align);
     return command(view.state, view.dispatch, view)
 };
 
-export function modifyImageCommand(src, alt) {
+export function modifyImageCommand(src, alt, caption, align) {
     const commandAdapter = (state, dispatch, view) => {
         const selection = view.state.selection
         const imageNode = selection.node;
@@ -3071,6 +4238,9 @@ export function modifyImageCommand(src, alt) {
             const transaction = view.state.tr
                 .setNodeAttribute(imagePos, 'src', src)
                 .setNodeAttribute(imagePos, 'alt', alt)
+            const imageAlign = _imageAlign(align)
+            if (imageAlign !== undefined) transaction.setNodeAttribute(imagePos, 'align', imageAlign)
+            if (caption !== undefined) _setFigureCaption(transaction, imagePos, caption)
             view.dispatch(transaction)
             return true
         } else {
@@ -3081,6 +4251,145 @@ export function modifyImageCommand(src, alt) {
     return commandAdapter
 }
 
+/**
+ * Set the alignment of the selected image to `align`.
+ * 
+ * Left and right alignment float the image so that text wraps around it, and center 
+ * alignment places the image on its own line.
+ * 
+ * @param {string}  align    One of "inline", "left", "center", or "right".
+ */
+export function setImageAlignment(align) {
+    const view = activeView()
+    const command = setImageAlignmentCommand(align)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that sets the alignment of the selected image to `align`.
+ * 
+ * An image inline with text is the default, so setting "inline" (or null) removes the 
+ * `align` attr. The command is not applicable if `align` is unknown or if an image is 
+ * not selected. The image remains selected afterward.
+ * 
+ * @ignore
+ * @param {string}  align    One of "inline", "left", "center", or "right".
+ */
+export function setImageAlignmentCommand(align) {
+    const commandAdapter = (state, dispatch, view) => {
+        const value = _imageAlign(align)
+        if (value === undefined) return false
+        const {node, from} = state.selection
+        if (node?.type !== state.schema.nodes.image) return false
+        if (dispatch && (node.attrs.align !== value)) {
+            const transaction = state.tr.setNodeAttribute(from, 'align', value)
+            transaction.setSelection(NodeSelection.create(transaction.doc, from))
+            dispatch(transaction)
+            stateChanged(view)
+        }
+        return true
+    }
+    return commandAdapter
+}
+
+/**
+ * Return the alignment of the selected image, "inline" if it is not aligned, or null 
+ * if no image is selected.
+ * 
+ * @ignore
+ * @param {EditorState} state 
+ * @returns {string | null}
+ */
+export function getImageAlignment(state) {
+    const node = state.selection.node
+    if (node?.type !== state.schema.nodes.image) return null
+    return node.attrs.align ?? 'inline'
+}
+
+/**
+ * Return the `align` attr of an image for `align`, null for an image inline with text, 
+ * or undefined if `align` is unknown.
+ * 
+ * @ignore
+ * @param {string | null}  align    One of "inline", "left", "center", or "right", or null.
+ * @returns {string | null | undefined}
+ */
+function _imageAlign(align) {
+    if ((align === null) || (align === 'inline')) return null
+    return imageAlignments.includes(align) ? align : undefined
+}
+
+/**
+ * Return a figure node holding `imageNode` with `caption` as the figcaption text.
+ * 
+ * @ignore
+ * @param {Node}    imageNode   An image node.
+ * @param {string}  caption     The text of the figcaption, which may be empty.
+ * @param {Schema}  schema
+ * @returns {Node}  A figure node.
+ */
+function _figureNode(imageNode, caption, schema) {
+    const nodes = schema.nodes;
+    const figureImage = nodes.figure_image.create(null, imageNode);
+    const figcaption = nodes.figcaption.create(null, caption ? schema.text(caption) : null);
+    return nodes.figure.create(null, [figureImage, figcaption]);
+};
+
+/**
+ * Return the figure node that holds the image at `imagePos` and its position, or null if 
+ * the image is not in a figure.
+ * 
+ * @ignore
+ * @param {Node}    doc 
+ * @param {number}  imagePos    The position of an image node in `doc`.
+ * @returns {{node: Node, pos: number} | null}
+ */
+function _figureAt(doc, imagePos) {
+    const $pos = doc.resolve(imagePos);
+    if ($pos.parent.type !== doc.type.schema.nodes.figure_image) return null;
+    return {node: $pos.node($pos.depth - 1), pos: $pos.before($pos.depth - 1)};
+};
+
+/**
+ * Update `tr` so that the image at `imagePos` is in a figure with `caption` as its 
+ * figcaption text, or unwrap it from its figure if `caption` is null. The figcaption 
+ * is only replaced when its text is different, so that formatting within it is retained.
+ * The image is left selected.
+ * 
+ * @ignore
+ * @param {Transaction}     tr 
+ * @param {number}          imagePos    The position of the image in `tr.doc`.
+ * @param {string | null}   caption     The figure caption, or null for an image that is not in a figure.
+ */
+function _setFigureCaption(tr, imagePos, caption) {
+    const schema = tr.doc.type.schema;
+    const imageNode = tr.doc.nodeAt(imagePos);
+    const figure = _figureAt(tr.doc, imagePos);
+    let newImagePos = imagePos;
+    if (figure && (caption === null)) {
+        const paragraph = schema.nodes.paragraph.create(null, imageNode);
+        tr.replaceWith(figure.pos, figure.pos + figure.node.nodeSize, paragraph);
+        newImagePos = figure.pos + 1;
+    } else if (figure) {
+        const figcaption = figure.node.lastChild;
+        if (figcaption.textContent === caption) return;
+        const start = figure.pos + 1 + figure.node.firstChild.nodeSize + 1;
+        tr.replaceWith(start, start + figcaption.content.size, caption ? schema.text(caption) : []);
+    } else if (caption !== null) {
+        tr.replaceRangeWith(imagePos, imagePos + 1, _figureNode(imageNode, caption, schema));
+        // The figure might have replaced the paragraph the image was in, so find it
+        let figurePos = null;
+        tr.doc.nodesBetween(tr.mapping.map(imagePos, -1), tr.doc.content.size, (node, pos) => {
+            if ((figurePos === null) && (node.type === schema.nodes.figure)) figurePos = pos;
+            return figurePos === null;
+        });
+        newImagePos = figurePos + 2;    // Inside of the figure and its figure_image
+    } else {
+        return;
+    };
+    tr.setSelection(NodeSelection.create(tr.doc, newImagePos));
+};
+
 /**
  * Cut the selected image from the document.
  * 
@@ -3201,6 +4510,157 @@ export function insertTableCommand(rows, cols) {
     return commandAdapter;
 }
 
+/**
+ * Convert the selected paragraphs into a table, with a row for each paragraph and a cell 
+ * for each part of its text between occurrences of `separator`. Rows with fewer parts than 
+ * others are filled with empty cells. The formatting of the text is kept.
+ *
+ * @param {string}  separator   The text that separates the cells in each paragraph, a tab by default.
+ */
+export function textToTable(separator='\t') {
+    const view = activeView()
+    let command = textToTableCommand(separator);
+    let result = command(view.state, view.dispatch, view);
+    view.focus();
+    stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that converts the selected paragraphs into a table.
+ * 
+ * The command is not applicable if the selection is in a table or includes anything 
+ * other than paragraphs.
+ * 
+ * @ignore
+ */
+export function textToTableCommand(separator='\t') {
+    const commandAdapter = (state, dispatch) => {
+        if (!separator || _tableAtSelection(state)) return false;
+        const nodeTypes = state.schema.nodes;
+        const {$from, $to} = state.selection;
+        const range = $from.blockRange($to);
+        if (!range) return false;
+        const paragraphs = [];
+        for (let i = range.startIndex; i < range.endIndex; i++) paragraphs.push(range.parent.child(i));
+        if (paragraphs.some(paragraph => paragraph.type !== nodeTypes.paragraph)) return false;
+        if (!range.parent.canReplaceWith(range.startIndex, range.endIndex, nodeTypes.table)) return false;
+        if (dispatch) {
+            const rows = paragraphs.map(paragraph => _splitParagraph(paragraph, separator));
+            const cols = Math.max(...rows.map(row => row.length));
+            const table_rows = rows.map(row => {
+                const table_cells = [];
+                for (let i = 0; i < cols; i++) {
+                    const paragraph = nodeTypes.paragraph.create(null, row[i]);
+                    table_cells.push(nodeTypes.table_cell.create(null, paragraph));
+                }
+                return nodeTypes.table_row.create(null, table_cells);
+            });
+            const table = nodeTypes.table.create(null, table_rows);
+            const transaction = state.tr.replaceWith(range.start, range.end, table);
+            transaction.setSelection(TextSelection.near(transaction.doc.resolve(range.start + 1)));
+            dispatch(transaction);
+        };
+        return true;
+    };
+
+    return commandAdapter;
+};
+
+/**
+ * Convert the table at the selection into paragraphs, one for each row, with the content 
+ * of its cells separated by `separator`. A cell holding several paragraphs has them separated 
+ * by line breaks. Cells that are merged across rows or columns are mapped as in `getTableData`, 
+ * so the parts of each paragraph line up with the columns of the table. A caption becomes 
+ * the first paragraph.
+ *
+ * @param {string}  separator   The text that separates the cells in each paragraph, a tab by default.
+ */
+export function tableToText(separator='\t') {
+    if (!_tableSelected()) return;
+    const view = activeView()
+    let command = tableToTextCommand(separator);
+    let result = command(view.state, view.dispatch, view);
+    view.focus();
+    stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that converts the table at the selection into paragraphs.
+ * 
+ * @ignore
+ */
+export function tableToTextCommand(separator='\t') {
+    const commandAdapter = (state, dispatch) => {
+        const table = _tableAtSelection(state);
+        if (!table) return false;
+        if (dispatch) {
+            const schema = state.schema;
+            const map = TableMap.get(table.node);
+            const paragraphs = [];
+            // Replace the captioned_table holding the table along with it
+            const captioned = _captionedTableAtSelection(state);
+            const replaced = captioned ?? table;
+            if (captioned?.node.firstChild.childCount > 0) paragraphs.push(schema.nodes.paragraph.create(null, captioned.node.firstChild.content));
+            for (let row = 0; row < map.height; row++) {
+                const parts = [];
+                for (let col = 0; col < map.width; col++) {
+                    const index = row * map.width + col;
+                    const pos = map.map[index];
+                    const topLeft = ((col === 0) || (map.map[index - 1] !== pos)) && ((row === 0) || (map.map[index - map.width] !== pos));
+                    if (col > 0) parts.push(schema.text(separator));
+                    if (topLeft) parts.push(..._cellInlineContent(table.node.nodeAt(pos)));
+                }
+                paragraphs.push(schema.nodes.paragraph.create(null, parts));
+            }
+            const transaction = state.tr.replaceWith(replaced.pos, replaced.pos + replaced.node.nodeSize, paragraphs);
+            transaction.setSelection(TextSelection.near(transaction.doc.resolve(replaced.pos + 1)));
+            dispatch(transaction);
+        };
+        return true;
+    };
+
+    return commandAdapter;
+};
+
+/**
+ * Return an array of Fragments holding the inline content of `paragraph` between each 
+ * occurrence of `separator` in its text.
+ * @ignore
+ */
+function _splitParagraph(paragraph, separator) {
+    const parts = [];
+    let start = 0;
+    paragraph.forEach((child, offset) => {
+        if (!child.isText) return;
+        let index = child.text.indexOf(separator);
+        while (index >= 0) {
+            parts.push(paragraph.content.cut(start, offset + index));
+            start = offset + index + separator.length;
+            index = child.text.indexOf(separator, index + separator.length);
+        }
+    });
+    parts.push(paragraph.content.cut(start));
+    return parts;
+};
+
+/**
+ * Return an array of the inline nodes in the textblocks of `cell`, with a hard_break 
+ * between the content of each textblock.
+ * @ignore
+ */
+function _cellInlineContent(cell) {
+    const nodes = [];
+    cell.descendants(node => {
+        if (!node.isTextblock) return true;
+        if (nodes.length > 0) nodes.push(cell.type.schema.nodes.hard_break.create());
+        node.forEach(child => nodes.push(child));
+        return false;
+    });
+    return nodes;
+};
+
 /**
  * Add a row before or after the current selection, whether it's in the header or body.
  * For rows, AFTER = below; otherwise above.
@@ -3219,6 +4679,11 @@ export function addRow(direction) {
 
 export function addRowCommand(direction) {
     const commandAdapter = (state, dispatch, view) => {
+        const table = _tableAtSelection(state);
+        if (dispatch && table && _hasHeaderColumn(table.node)) {
+            const rowDispatch = dispatch;
+            dispatch = (tr) => { rowDispatch(_scopeRowHeaders(tr, table.pos)) };
+        };
         if (direction === 'BEFORE') {
             return addRowBefore(state, dispatch, view);
         } else {
@@ -3252,6 +4717,8 @@ export function addColCommand(direction) {
         let state = view?.state ?? viewState;
         if (!isTableSelected(state)) return false;
         const startSelection = new TextSelection(state.selection.$anchor, state.selection.$head)
+        const table = _tableAtSelection(state);
+        const headerColumn = table && _hasHeaderColumn(table.node);
         let offset = 0;
         if (direction === 'BEFORE') {
             addColumnBefore(state, (tr) => { state = state.apply(tr) });
@@ -3260,6 +4727,7 @@ export function addColCommand(direction) {
             addColumnAfter(state, (tr) => { state = state.apply(tr) });
         };
         _mergeHeaders(state, (tr) => { state = state.apply(tr) });
+        if (headerColumn) state = state.apply(_scopeRowHeaders(state.tr, table.pos));
 
         if (dispatch) {
             const $anchor = state.tr.doc.resolve(startSelection.from + offset);
@@ -3301,7 +4769,7 @@ export function addHeaderCommand(colspan = true) {
         _selectInFirstCell(state, (tr) => { state = state.apply(tr) });
         addRowBefore(state, (tr) => { state = state.apply(tr) });
         _selectInFirstCell(state, (tr) => { state = state.apply(tr) });
-        toggleHeaderRow(state, (tr) => { state = state.apply(tr) });
+        _setHeaderRow(state, (tr) => { state = state.apply(tr) });
         if (colspan) {
             _mergeHeaders(state, (tr) => { state = state.apply(tr) });
         };
@@ -3364,12 +4832,621 @@ export function deleteTableAreaCommand(area) {
 }
 
 /**
- * Set the class of the table to style it using CSS.
- * The default draws a border around everything.
- * 
- * @param {'outer' | 'header' | 'cell' | 'none'} border Set the class of the table to correspond to caller's notion of border, so it displays properly.
+ * Merge the cells in the CellSelection into a single cell that spans their rows and columns.
+ * The content of the cells is kept in the merged cell.
  */
-export function borderTable(border) {
+export function mergeCells() {
+    if (!_tableSelected()) return;
+    const view = activeView()
+    let command = mergeCellsCommand();
+    let result = command(view.state, view.dispatch, view);
+    view.focus();
+    stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that merges the cells in the CellSelection.
+ * 
+ * The command is not applicable unless the selection is a CellSelection of more than one 
+ * cell that forms a rectangle.
+ * 
+ * @ignore
+ */
+export function mergeCellsCommand() {
+    const commandAdapter = (state, dispatch, view) => {
+        return mergeTableCells(state, dispatch, view);
+    };
+
+    return commandAdapter;
+}
+
+/**
+ * Split the selected cell that spans rows or columns into individual cells. The content 
+ * stays in the first of them. The selected cell is the one in a CellSelection of a single 
+ * cell, or the one holding the selection.
+ */
+export function splitCell() {
+    if (!_tableSelected()) return;
+    const view = activeView()
+    let command = splitCellCommand();
+    let result = command(view.state, view.dispatch, view);
+    view.focus();
+    stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that splits the selected cell.
+ * 
+ * The command is not applicable unless the selected cell spans more than one row or column.
+ * 
+ * @ignore
+ */
+export function splitCellCommand() {
+    const commandAdapter = (state, dispatch, view) => {
+        return splitTableCell(state, dispatch, view);
+    };
+
+    return commandAdapter;
+}
+
+/**
+ * Set the background color of the selected cells, which are the cells in a CellSelection 
+ * or the cell holding the selection.
+ * 
+ * @param {string | null} color     A CSS color, or null to remove the background color.
+ */
+export function setCellBackground(color) {
+    const view = activeView()
+    let command = setCellBackgroundCommand(color)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that sets the background color of the selected cells.
+ * 
+ * The command is not applicable if the selection is not in a table, or if `color` is not 
+ * a valid CSS color.
+ * 
+ * @ignore
+ * @param {string | null} color     A CSS color, or null to remove the background color.
+ */
+export function setCellBackgroundCommand(color) {
+    const value = (color == null) ? null : _cssColor(color)
+    if ((color != null) && (value === null)) return () => false
+    return _setCellAttrsCommand({background: value})
+}
+
+/**
+ * Set the horizontal and vertical alignment of the selected cells, which are the cells 
+ * in a CellSelection or the cell holding the selection. 
+ * 
+ * Either alignment can be undefined to leave it unchanged, or null to remove it.
+ * 
+ * @param {'left' | 'center' | 'right' | 'justify' | null | undefined}  h   The horizontal alignment.
+ * @param {'top' | 'middle' | 'bottom' | null | undefined}              v   The vertical alignment.
+ */
+export function setCellAlignment(h, v) {
+    const view = activeView()
+    let command = setCellAlignmentCommand(h, v)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that sets the horizontal and vertical alignment of the selected cells.
+ * 
+ * The command is not applicable if the selection is not in a table, or if either alignment 
+ * is not one of the supported values.
+ * 
+ * @ignore
+ * @param {string | null | undefined}  h   The horizontal alignment.
+ * @param {string | null | undefined}  v   The vertical alignment.
+ */
+export function setCellAlignmentCommand(h, v) {
+    if ((h != null) && !alignments.includes(h)) return () => false
+    if ((v != null) && !verticalAlignments.includes(v)) return () => false
+    const attrs = {}
+    if (h !== undefined) attrs.align = h
+    if (v !== undefined) attrs.valign = v
+    return _setCellAttrsCommand(attrs)
+}
+
+/**
+ * Return a Command that removes the background color and alignment of the selected cells.
+ * 
+ * @ignore
+ */
+export function clearCellFormatCommand() {
+    return _setCellAttrsCommand({background: null, align: null, valign: null})
+}
+
+/**
+ * Return the background color and alignment of the first of the selected cells, or null 
+ * if the selection is not in a table.
+ * 
+ * @ignore
+ * @param {EditorState} state
+ * @returns {{background: string | null, align: string | null, valign: string | null} | null}
+ */
+export function getCellFormat(state) {
+    const positions = _selectedCellPositions(state)
+    if (positions.length === 0) return null
+    const {background, align, valign} = state.doc.nodeAt(positions[0]).attrs
+    return {background, align, valign}
+}
+
+/**
+ * Return whether the background color of the first of the selected cells is `color`.
+ * 
+ * @ignore
+ * @param {EditorState} state
+ * @param {string}      color   A CSS color.
+ * @returns {boolean}
+ */
+export function hasCellBackground(state, color) {
+    const background = getCellFormat(state)?.background
+    return !!background && (background === _cssColor(color))
+}
+
+/**
+ * Return a Command that sets `attrs` in each of the selected cells, which is not applicable 
+ * if none of them would change.
+ * @ignore
+ */
+function _setCellAttrsCommand(attrs) {
+    const commandAdapter = (state, dispatch, view) => {
+        const positions = _selectedCellPositions(state)
+        if (positions.length === 0) return false
+        const transaction = state.tr
+        for (const pos of positions) {
+            const cell = transaction.doc.nodeAt(pos)
+            const changed = Object.keys(attrs).some(name => cell.attrs[name] !== attrs[name])
+            if (changed) transaction.setNodeMarkup(pos, null, {...cell.attrs, ...attrs})
+        }
+        if (!transaction.docChanged) return false
+        if (dispatch) {
+            dispatch(transaction)
+            stateChanged(view)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return the positions of the cells in a CellSelection, or of the cell holding the 
+ * selection, which is empty if the selection is not in a table.
+ * @ignore
+ */
+function _selectedCellPositions(state) {
+    const selection = state.selection
+    if (selection instanceof CellSelection) {
+        const positions = []
+        selection.forEachCell((cell, pos) => positions.push(pos))
+        return positions
+    }
+    const $cell = cellAround(selection.$head)
+    return $cell ? [$cell.pos] : []
+}
+
+/**
+ * Toggle whether the first column of the table at the selection is a header column. Its 
+ * cells are output as `<th scope="row">`, and the cells of a header row are left as they are.
+ */
+export function toggleHeaderColumn() {
+    if (!_tableSelected()) return;
+    const view = activeView()
+    let command = toggleHeaderColumnCommand();
+    let result = command(view.state, view.dispatch, view);
+    view.focus();
+    stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that toggles the header column of the table at the selection.
+ * 
+ * @ignore
+ */
+export function toggleHeaderColumnCommand() {
+    const commandAdapter = (state, dispatch) => {
+        const table = _tableAtSelection(state)
+        const cells = table ? _headerColumnCells(table.node) : []
+        if (cells.length === 0) return false
+        if (dispatch) {
+            const nodeTypes = state.schema.nodes
+            const headerColumn = _hasHeaderColumn(table.node)
+            const transaction = state.tr
+            for (const {node, pos} of cells) {
+                if (headerColumn) {
+                    transaction.setNodeMarkup(table.pos + 1 + pos, nodeTypes.table_cell, {...node.attrs, scope: null})
+                } else {
+                    transaction.setNodeMarkup(table.pos + 1 + pos, nodeTypes.table_header, {...node.attrs, scope: 'row'})
+                }
+            }
+            dispatch(transaction)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return whether the table at the selection has a header column.
+ * 
+ * @ignore
+ * @param {EditorState} state
+ * @returns {boolean}
+ */
+export function tableHasHeaderColumn(state) {
+    const table = _tableAtSelection(state)
+    return !!table && _hasHeaderColumn(table.node)
+}
+
+/**
+ * Toggle the caption of the table at the selection, which can also be in the caption itself. 
+ * The caption that is added is empty, and it can be edited in place or set using 
+ * `setTableCaption`.
+ */
+export function toggleTableCaption() {
+    const view = activeView()
+    let command = toggleTableCaptionCommand();
+    let result = command(view.state, view.dispatch, view);
+    view.focus();
+    if (result) stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that adds an empty caption to the table at the selection, or removes 
+ * the caption it has.
+ * 
+ * @ignore
+ */
+export function toggleTableCaptionCommand() {
+    const commandAdapter = (state, dispatch, view) => {
+        const caption = _captionedTableAtSelection(state) ? null : ''
+        return setTableCaptionCommand(caption)(state, dispatch, view)
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Set the text of the caption of the table at the selection, adding one if the table doesn't 
+ * have it. The selection can also be in the caption itself.
+ * 
+ * @param {string | null} caption   The text of the caption, or null to remove it.
+ */
+export function setTableCaption(caption) {
+    const view = activeView()
+    let command = setTableCaptionCommand(caption);
+    let result = command(view.state, view.dispatch, view);
+    if (result) stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that sets the text of the caption of the table at the selection.
+ * 
+ * A table with a caption is held in a captioned_table along with its table_caption, so 
+ * adding the caption wraps the table in a captioned_table, and removing it unwraps the 
+ * table. Both are done using a ReplaceAroundStep, so the selection in the table is kept.
+ * 
+ * @ignore
+ */
+export function setTableCaptionCommand(caption) {
+    const commandAdapter = (state, dispatch) => {
+        const captioned = _captionedTableAtSelection(state)
+        const table = captioned ? null : _tableAtSelection(state)
+        if (!captioned && !table) return false
+        if (!dispatch) return true
+        const schema = state.schema
+        const text = caption ? schema.text(caption) : null
+        const transaction = state.tr
+        if (captioned) {
+            const captionNode = captioned.node.firstChild
+            const tableStart = captioned.pos + 1 + captionNode.nodeSize
+            const end = captioned.pos + captioned.node.nodeSize
+            if (caption === null) {
+                transaction.step(new ReplaceAroundStep(captioned.pos, end, tableStart, end - 1, Slice.empty, 0))
+            } else if (captionNode.textContent !== caption) {
+                transaction.replaceWith(captioned.pos + 2, tableStart - 1, text ?? Fragment.empty)
+            }
+        } else if (caption !== null) {
+            const end = table.pos + table.node.nodeSize
+            const captionNode = schema.nodes.table_caption.create(null, text)
+            const slice = new Slice(Fragment.from(schema.nodes.captioned_table.create(null, captionNode)), 0, 0)
+            transaction.step(new ReplaceAroundStep(table.pos, end, table.pos, end, slice, 1 + captionNode.nodeSize))
+        }
+        if (transaction.docChanged) dispatch(transaction)
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return whether the table at the selection has a caption, or the selection is in the 
+ * caption of a table.
+ * 
+ * @ignore
+ * @param {EditorState} state
+ * @returns {boolean}
+ */
+export function tableHasCaption(state) {
+    return !!_captionedTableAtSelection(state)
+}
+
+/**
+ * Sort the body rows of the table at the selection by the text in column `col`. Header 
+ * rows stay in place. The sort is a single transaction, so it can be undone in one step.
+ * 
+ * Rows whose cell in `col` is empty, or is not a number for a numeric sort, are placed 
+ * last in either direction. The sort is not possible if any body cell spans rows.
+ * 
+ * @param {number}              col                     The column, starting at 1 like the `col` in the selection state.
+ * @param {'ASC' | 'DESC'}      direction               Whether to sort in ascending or descending order.
+ * @param {object}              options
+ * @param {boolean | undefined} options.numeric         Whether to compare the cells as numbers, which defaults to whether every non-empty cell in the column is a number.
+ * @param {boolean}             options.caseSensitive   Whether the case of letters matters when comparing text.
+ */
+export function sortTable(col, direction='ASC', options={}) {
+    if (!_tableSelected()) return;
+    const view = activeView()
+    let command = sortTableCommand(col, direction, options);
+    let result = command(view.state, view.dispatch, view);
+    view.focus();
+    stateChanged(view);
+    return result;
+};
+
+/**
+ * Return a Command that sorts the body rows of the table at the selection by column `col`, 
+ * or by the column holding the selection if `col` is undefined. The command can't execute 
+ * when `col` is not the integer number of a column in the table.
+ * 
+ * @ignore
+ */
+export function sortTableCommand(col, direction='ASC', {numeric, caseSensitive=false}={}) {
+    const commandAdapter = (state, dispatch) => {
+        const table = _tableAtSelection(state)
+        if (!table) return false
+        if ((col !== undefined) && !Number.isInteger(col)) return false
+        const map = TableMap.get(table.node)
+        const index = (col === undefined) ? _selectedColumn(state, table, map) : col - 1
+        if (!(index >= 0) || (index >= map.width)) return false
+        const rows = []
+        let spansRows = false
+        table.node.forEach((row, offset, rowIndex) => {
+            if (_isHeaderRow(row)) return
+            row.forEach(cell => { if (cell.attrs.rowspan > 1) spansRows = true })
+            const text = table.node.nodeAt(map.map[rowIndex * map.width + index]).textContent.trim()
+            rows.push({index: rowIndex, text})
+        })
+        if (spansRows || (rows.length < 2)) return false
+        if (dispatch) {
+            const numbers = rows.map(({text}) => (text === '') ? NaN : Number(text.replace(/,/g, '')))
+            const asNumbers = numeric ?? (numbers.some(number => !isNaN(number)) && rows.every(({text}, i) => (text === '') || !isNaN(numbers[i])))
+            const collator = new Intl.Collator(undefined, {sensitivity: caseSensitive ? 'variant' : 'accent'})
+            const sign = (direction === 'DESC') ? -1 : 1
+            const keyed = rows.map((row, i) => ({...row, key: asNumbers ? numbers[i] : row.text}))
+            const missing = (key) => asNumbers ? isNaN(key) : (key === '')
+            const sorted = [...keyed].sort((a, b) => {
+                if (missing(a.key) || missing(b.key)) return missing(a.key) - missing(b.key)
+                return sign * (asNumbers ? a.key - b.key : collator.compare(a.key, b.key))
+            })
+            // Put the sorted rows in the places held by body rows, leaving the header rows where they are
+            const order = []    // The index of each row before sorting
+            let next = 0
+            table.node.forEach((row, offset, rowIndex) => { order.push(_isHeaderRow(row) ? rowIndex : sorted[next++].index) })
+            const children = order.map(rowIndex => table.node.child(rowIndex))
+            const transaction = state.tr.replaceWith(table.pos + 1, table.pos + table.node.nodeSize - 1, Fragment.from(children))
+            // Keep a selection within one row in that row, wherever it ends up
+            const {$from, $to} = state.selection
+            const depth = state.doc.resolve(table.pos).depth + 1  // The depth of the table
+            const selectedRow = $from.index(depth)
+            if ((state.selection instanceof TextSelection) && ($from.depth > depth) && ($to.index(depth) === selectedRow)) {
+                const newIndex = order.indexOf(selectedRow)
+                const newStart = children.slice(0, newIndex).reduce((pos, row) => pos + row.nodeSize, table.pos + 1)
+                const shift = newStart - $from.before(depth + 1)
+                transaction.setSelection(TextSelection.create(transaction.doc, state.selection.anchor + shift, state.selection.head + shift))
+            }
+            dispatch(transaction)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return the index of the column holding the head of the selection in `table`, which is 
+ * the first column of a cell that spans columns.
+ * @ignore
+ */
+function _selectedColumn(state, table, map) {
+    const $cell = cellAround(state.selection.$head)
+    if (!$cell) return -1
+    return map.colCount($cell.pos - table.pos - 1)
+}
+
+/**
+ * Return the contents of the table at the selection as data, or null if the selection 
+ * is not in a table.
+ * 
+ * The data has a row for each row of the table, including any header rows, and a value 
+ * for each column. A cell that is merged across rows or columns has its text in its top-left 
+ * position and an empty value in the others, so a header that spans all columns puts its 
+ * text in the first column. The text of the paragraphs in a cell and any line breaks 
+ * within them are separated by newlines.
+ * 
+ * For CSV and TSV, the rows are separated by newlines, and a value is quoted when it holds 
+ * the separator, a quote, or a newline, with any quote in it doubled. JSON is an array 
+ * holding an array of strings for each row.
+ * 
+ * @param {'CSV' | 'TSV' | 'JSON'} format   The format of the data.
+ * @returns {string | null}
+ */
+export function getTableData(format='CSV') {
+    return tableData(activeView().state, format);
+};
+
+/**
+ * Return the contents of the table at the selection in `format`, or null if the selection 
+ * is not in a table or the format is not recognized.
+ * 
+ * @ignore
+ * @param {EditorState}             state
+ * @param {'CSV' | 'TSV' | 'JSON'}  format
+ * @returns {string | null}
+ */
+export function tableData(state, format='CSV') {
+    const table = _tableAtSelection(state)
+    if (!table) return null
+    const map = TableMap.get(table.node)
+    const rows = _tableDataRows(table.node, {left: 0, top: 0, right: map.width, bottom: map.height})
+    switch (format) {
+        case 'CSV':
+            return _delimitedText(rows, ',')
+        case 'TSV':
+            return _delimitedText(rows, '\t')
+        case 'JSON':
+            return JSON.stringify(rows)
+    }
+    return null
+}
+
+/**
+ * Return the selected cells as TSV when the selection is a CellSelection, so they can be 
+ * pasted as cells in a spreadsheet, else null. The mapping of merged cells is the same as 
+ * for `getTableData`.
+ * 
+ * @ignore
+ * @param {EditorState} state
+ * @returns {string | null}
+ */
+export function cellSelectionText(state) {
+    const selection = state.selection
+    if (!(selection instanceof CellSelection)) return null
+    const table = selection.$anchorCell.node(-1)
+    const start = selection.$anchorCell.start(-1)
+    const rect = TableMap.get(table).rectBetween(selection.$anchorCell.pos - start, selection.$headCell.pos - start)
+    return _delimitedText(_tableDataRows(table, rect), '\t')
+}
+
+/**
+ * Return an array of rows holding the text of the cells of `table` within `rect`, placing 
+ * the text of a merged cell in its top-left position and an empty string in the others.
+ * @ignore
+ */
+function _tableDataRows(table, {left, top, right, bottom}) {
+    const map = TableMap.get(table)
+    const rows = []
+    for (let row = top; row < bottom; row++) {
+        const values = []
+        for (let col = left; col < right; col++) {
+            const index = row * map.width + col
+            const pos = map.map[index]
+            const topLeft = ((col === 0) || (map.map[index - 1] !== pos)) && ((row === 0) || (map.map[index - map.width] !== pos))
+            values.push(topLeft ? _cellText(table.nodeAt(pos)) : '')
+        }
+        rows.push(values)
+    }
+    return rows
+}
+
+/**
+ * Return the text of `cell`, with newlines between its blocks and for its line breaks.
+ * @ignore
+ */
+function _cellText(cell) {
+    const leafText = (node) => (node.type === node.type.schema.nodes.hard_break) ? '\n' : ''
+    return cell.textBetween(0, cell.content.size, '\n', leafText)
+}
+
+/**
+ * Return `rows` as lines of values separated by `separator`, quoting values as needed.
+ * @ignore
+ */
+function _delimitedText(rows, separator) {
+    const quote = (value) => {
+        const quoted = value.includes(separator) || value.includes('"') || value.includes('\n')
+        return quoted ? '"' + value.replace(/"/g, '""') + '"' : value
+    }
+    return rows.map(values => values.map(quote).join(separator)).join('\n')
+}
+
+/**
+ * Return whether all the cells of `row` are in the header row, as opposed to being a 
+ * `table_header` in a header column.
+ * @ignore
+ */
+function _isHeaderRow(row) {
+    let header = true
+    row.forEach(cell => {
+        if ((cell.type !== cell.type.schema.nodes.table_header) || (cell.attrs.scope === 'row')) header = false
+    })
+    return header
+}
+
+/**
+ * Return the cells in the first column of the body rows of `table`, each with its 
+ * position relative to the start of the table's content.
+ * @ignore
+ */
+function _headerColumnCells(table) {
+    const map = TableMap.get(table)
+    const seen = new Set()
+    const cells = []
+    for (let row = 0; row < map.height; row++) {
+        const pos = map.map[row * map.width]
+        if (seen.has(pos)) continue     // A cell that spans rows is only included once
+        seen.add(pos)
+        if (_isHeaderRow(table.child(row))) continue
+        cells.push({node: table.nodeAt(pos), pos})
+    }
+    return cells
+}
+
+/**
+ * Return whether the first column of the body rows of `table` is all header cells.
+ * @ignore
+ */
+function _hasHeaderColumn(table) {
+    const cells = _headerColumnCells(table)
+    return (cells.length > 0) && cells.every(({node}) => node.attrs.scope === 'row')
+}
+
+/**
+ * Set the scope of header cells in the body rows of the table at `tablePos` to "row", 
+ * since adding a row or column to a table with a header column copies the header cell 
+ * without its scope.
+ * @ignore
+ */
+function _scopeRowHeaders(transaction, tablePos) {
+    const table = transaction.doc.nodeAt(tablePos)
+    table.forEach((row, rowOffset) => {
+        if (_isHeaderRow(row)) return
+        row.forEach((cell, cellOffset) => {
+            if ((cell.type === cell.type.schema.nodes.table_header) && !cell.attrs.scope) {
+                transaction.setNodeAttribute(tablePos + rowOffset + cellOffset + 2, 'scope', 'row')
+            }
+        })
+    })
+    return transaction
+}
+
+/**
+ * Set the class of the table to style it using CSS.
+ * The default draws a border around everything.
+ * 
+ * @param {'outer' | 'header' | 'cell' | 'none'} border Set the class of the table to correspond to caller's notion of border, so it displays properly.
+ */
+export function borderTable(border) {
     if (_tableSelected()) {
         const view = activeView()
         let command = setBorderCommand(border);
@@ -3380,6 +5457,162 @@ export function borderTable(border) {
     }
 };
 
+/**
+ * The minimum width of a table column in px, and the width assumed for a column that 
+ * has none when laying out the table. Both are also used by the columnResizing plugin.
+ * @ignore
+ */
+export const cellMinWidth = 25;
+export const defaultCellMinWidth = 100;
+
+/**
+ * Set the width of column `col` in the table holding the selection to `width` px, or 
+ * remove its width when `width` is null so it takes its share of the table's width.
+ * 
+ * The width is held in the `colwidth` attr of the cells in the column, which is output 
+ * as `data-colwidth` in the HTML, so it survives `getHTML` and `setHTML`.
+ * 
+ * @param {number}          col     The column, starting at 1 like the `col` in the selection state.
+ * @param {number | null}   width   The width in px, no smaller than 25, or null to remove the width.
+ */
+export function setColumnWidth(col, width) {
+    const view = activeView()
+    let command = setColumnWidthCommand(col, width)
+    return command(view.state, view.dispatch, view)
+};
+
+/**
+ * Return a Command that sets the width of column `col` in the table holding the selection.
+ * 
+ * The command is not applicable if the selection is not in a table, or if the table has no 
+ * column `col`.
+ * 
+ * @ignore
+ * @param {number}          col     The column, starting at 1.
+ * @param {number | null}   width   The width in px, or null to remove the width.
+ */
+export function setColumnWidthCommand(col, width) {
+    const commandAdapter = (state, dispatch, view) => {
+        const table = _tableAtSelection(state)
+        if (!table) return false
+        const map = TableMap.get(table.node)
+        const index = col - 1
+        if (!Number.isInteger(index) || (index < 0) || (index >= map.width)) return false
+        if ((width !== null) && !(width > 0)) return false
+        const newWidth = (width === null) ? 0 : Math.max(cellMinWidth, Math.round(width))
+        const start = table.pos + 1
+        const transaction = state.tr
+        for (let row = 0; row < map.height; row++) {
+            const mapIndex = row * map.width + index
+            // A cell that spans rows is only set once
+            if (row && (map.map[mapIndex] === map.map[mapIndex - map.width])) continue
+            const pos = map.map[mapIndex]
+            const attrs = table.node.nodeAt(pos).attrs
+            const spanIndex = index - map.colCount(pos)
+            const colwidth = attrs.colwidth ? attrs.colwidth.slice() : Array(attrs.colspan).fill(0)
+            if (colwidth[spanIndex] === newWidth) continue
+            colwidth[spanIndex] = newWidth
+            const hasWidth = colwidth.some(width => width > 0)
+            transaction.setNodeMarkup(start + pos, null, {...attrs, colwidth: hasWidth ? colwidth : null})
+        }
+        if (dispatch && transaction.docChanged) {
+            dispatch(transaction)
+            stateChanged(view)
+        }
+        return true
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return a Command that widens the column at the right edge of the cell holding the 
+ * selection by `delta` px, or narrows it if `delta` is negative. This is the keyboard 
+ * equivalent of dragging the edge of the cell using the columnResizing plugin.
+ * 
+ * @ignore
+ * @param {number}  delta   The change in width in px.
+ */
+export function resizeColumnCommand(delta) {
+    const commandAdapter = (state, dispatch, view) => {
+        const table = _tableAtSelection(state)
+        const $cell = table && cellAround(state.selection.$head)
+        if (!$cell) return false
+        const cell = $cell.nodeAfter
+        const map = TableMap.get(table.node)
+        const col = map.colCount($cell.pos - table.pos - 1) + cell.attrs.colspan - 1
+        let width = _columnWidths(table.node)[col]
+        if (!width) {
+            // Without a width, the column is as wide as it shows, shared by the columns the cell spans
+            const domWidth = view?.nodeDOM($cell.pos)?.offsetWidth ?? 0
+            width = (domWidth / cell.attrs.colspan) || defaultCellMinWidth
+        }
+        return setColumnWidthCommand(col + 1, width + delta)(state, dispatch, view)
+    }
+
+    return commandAdapter
+}
+
+/**
+ * Return the table containing the selection and its position, or null if there is none.
+ * 
+ * @ignore
+ * @param {EditorState} state
+ * @returns {{node: Node, pos: number} | null}
+ */
+function _tableAtSelection(state) {
+    const {$from} = state.selection
+    for (let depth = $from.depth; depth > 0; depth--) {
+        const node = $from.node(depth)
+        if (node.type === state.schema.nodes.table) return {node, pos: $from.before(depth)}
+    }
+    return null
+}
+
+/**
+ * Return the captioned_table that holds the table at the selection or the caption the 
+ * selection is in, and its position, or null if there is none.
+ * 
+ * @ignore
+ * @param {EditorState} state
+ * @returns {{node: Node, pos: number} | null}
+ */
+function _captionedTableAtSelection(state) {
+    const {$from} = state.selection
+    const nodes = state.schema.nodes
+    for (let depth = $from.depth; depth > 0; depth--) {
+        const node = $from.node(depth)
+        if ((node.type === nodes.table) || (node.type === nodes.table_caption)) {
+            if ($from.node(depth - 1).type !== nodes.captioned_table) return null
+            return {node: $from.node(depth - 1), pos: $from.before(depth - 1)}
+        }
+    }
+    return null
+}
+
+/**
+ * Return an array holding the width in px of each column in `table`, or null for a 
+ * column that has no width.
+ * 
+ * @ignore
+ * @param {Node}    table   A table node.
+ * @returns {Array<number | null>}
+ */
+function _columnWidths(table) {
+    const map = TableMap.get(table)
+    const widths = []
+    for (let col = 0; col < map.width; col++) {
+        let width = null
+        for (let row = 0; (row < map.height) && !width; row++) {
+            const pos = map.map[row * map.width + col]
+            const colwidth = table.nodeAt(pos).attrs.colwidth
+            width = colwidth?.[col - map.colCount(pos)] || null
+        }
+        widths.push(width)
+    }
+    return widths
+}
+
 /**
  * Return whether the selection is within a table.
  * 
@@ -3416,6 +5649,24 @@ function _selectInFirstCell(state, dispatch) {
     }
 };
 
+/**
+ * Make the cells in the first row of the table at the selection into header cells.
+ * 
+ * Unlike toggleHeaderRow, the first cell stays a header when the row was added to a table 
+ * with a header column, which copies the `table_header` type into the new row.
+ * 
+ * @ignore
+ */
+function _setHeaderRow(state, dispatch) {
+    const table = _tableAtSelection(state);
+    if (!table) return;
+    const transaction = state.tr;
+    table.node.firstChild.forEach((cell, offset) => {
+        transaction.setNodeMarkup(table.pos + offset + 2, state.schema.nodes.table_header, {...cell.attrs, scope: null});
+    });
+    dispatch(transaction);
+};
+
 /**
  * Merge any extra headers created after inserting a column or adding a header.
  * 
@@ -3432,7 +5683,7 @@ function _mergeHeaders(state, dispatch) {
     const headers = [];
     let tableAttributes = _getTableAttributes(state);
     state.tr.doc.nodesBetween(tableAttributes.from, tableAttributes.to, (node, pos) => {
-        if (node.type == nodeTypes.table_header) {
+        if ((node.type == nodeTypes.table_header) && (node.attrs.scope !== 'row')) {
             headers.push(pos)
             return false;
         }
@@ -3444,7 +5695,7 @@ function _mergeHeaders(state, dispatch) {
         const rowSelection = CellSelection.create(state.tr.doc, firstHeaderPos, lastHeaderPos);
         const transaction = state.tr.setSelection(rowSelection);
         const newState = state.apply(transaction);
-        mergeCells(newState, dispatch)
+        mergeTableCells(newState, dispatch)
     };
 };
 
@@ -3579,7 +5830,8 @@ export function outermostOfTypeAt(type, $pos) {
  * 
  * Since the schema for the MarkupEditor accepts div and buttons, clean them from the 
  * html before deriving a Node. Cleaning up means retaining the div contents while removing
- * the divs, and removing buttons.
+ * the divs, and removing buttons. The colors of code in divs are removed first, since 
+ * they can't be recognized as syntax highlighting once the divs are gone.
  * 
  * @ignore
  * @param {string} html 
@@ -3588,11 +5840,27 @@ export function outermostOfTypeAt(type, $pos) {
 function _nodeFromHTML(html) {
     const fragment = _fragmentFromHTML(html);
     const body = fragment.body ?? fragment;
-    _cleanUpDivsWithin(body);
+    _cleanUpCodeColorsWithin(body);
+    cleanUpDivsWithin(body);
     _cleanUpTypesWithin(['button'], body);
     return _nodeFromElement(body);
 };
 
+/**
+ * Remove the color styles of the spans in code that is styled with `white-space: pre`, 
+ * as copied from editors like VSCode, so they aren't parsed as color and highlight marks.
+ * 
+ * @ignore
+ * @param {HTMLElement | DocumentFragment} node 
+ */
+function _cleanUpCodeColorsWithin(node) {
+    const spans = node.querySelectorAll("[style*='white-space: pre'] span[style], [style*='white-space:pre'] span[style]");
+    for (const span of spans) {
+        span.style.removeProperty('color');
+        span.style.removeProperty('background-color');
+    };
+};
+
 /**
  * Return a ProseMirror Node derived from an HTMLElement.
  * 
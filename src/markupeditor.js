@@ -2,6 +2,7 @@
 import {
     callbackInput,
     blurred,
+    cellSelectionText,
     clicked,
     handleEnter,
     outermostOfTypeAt,
@@ -14,6 +15,7 @@ import { BehaviorConfig } from "./config/behaviorconfig.js"
 import { EditorView } from "prosemirror-view"
 import { EditorState } from "prosemirror-state"
 import { DOMParser } from "prosemirror-model"
+import { handlePaste as handleTablePaste } from "prosemirror-tables"
 import { schema } from "./schema/index.js"
 import { markupSetup } from "./setup/index.js"
 import { toolbarView } from "./setup/toolbar.js"
@@ -21,6 +23,11 @@ import { LinkView } from "./nodeview/linkview.js"
 import { ImageView } from "./nodeview/imageview.js"
 import { DivView } from "./nodeview/divview.js"
 import { CodeView } from "./nodeview/codeview.js"
+import { TaskItemView } from "./nodeview/taskitemview.js"
+import { DetailsView } from "./nodeview/detailsview.js"
+import { CalloutView } from "./nodeview/calloutview.js"
+import { TableView } from "./nodeview/tableview.js"
+import { CaptionedTableView } from "./nodeview/captionedtableview.js"
 import { LanguageDialogItem } from "./setup/menuitems.js"
 import { MessageHandler } from "./messagehandler.js"
 import { Searcher } from "./searcher.js"
@@ -33,6 +40,18 @@ import {
     addHeader,
     addRow,
     borderTable,
+    setColumnWidth,
+    mergeCells,
+    splitCell,
+    setCellBackground,
+    setCellAlignment,
+    toggleHeaderColumn,
+    toggleTableCaption,
+    setTableCaption,
+    sortTable,
+    getTableData,
+    textToTable,
+    tableToText,
     callbackSelectImage,
     cancelSearch,
     canUndo,
@@ -53,13 +72,18 @@ import {
     getHTML,
     getHeight,
     getImageAttributes,
+    getJSON,
     getLinkAttributes,
+    getMarkdown,
     getSelectionState,
     getTestHTML,
     indent,
+    moveBlockUp,
+    moveBlockDown,
     insertImage,
     insertLink,
     insertTable,
+    insertDetails,
     insertHRule,
     loadUserFiles,
     modifyImage,
@@ -75,7 +99,11 @@ import {
     resetSelection,
     savedDataImage,
     searchFor,
+    setAlignment,
     setHTML,
+    setImageAlignment,
+    setJSON,
+    setMarkdown,
     setStyle,
     setTestHTML,
     setTopLevelAttributes,
@@ -88,9 +116,15 @@ import {
     testPasteTextPreprocessing,
     testPresentCodeLanguages,
     toggleBold,
+    toggleCallout,
+    toggleDefinitionList,
     toggleCode,
+    toggleColor,
+    toggleHighlight,
     toggleItalic,
     toggleListItem,
+    setListStart,
+    setListStyle,
     toggleUnderline,
     toggleStrike,
     toggleSubscript,
@@ -206,6 +240,10 @@ export class MarkupEditor {
         const languageDialog = new LanguageDialogItem(this.config)
         MU.languageDialog = languageDialog
 
+        // The ImageView uses the toolbar config for the icons of its alignment control, and 
+        // the CalloutView uses it for the kinds of callout it offers.
+        const editorConfig = this.config
+
         // Create the EditorView for this MarkupEditor
         this.view = new EditorView(this.element, {
             state: EditorState.create({
@@ -216,9 +254,14 @@ export class MarkupEditor {
             }),
             nodeViews: {
                 link(node, view, getPos) { return new LinkView(node, view, getPos) },
-                image(node, view, getPos) { return new ImageView(node, view, getPos) },
+                image(node, view, getPos) { return new ImageView(node, view, getPos, editorConfig) },
                 div(node, view, getPos) { return new DivView(node, view, getPos) },
                 code_block(node, view, getPos) { return new CodeView(node, view, getPos, languageDialog) },
+                task_item(node, view, getPos) { return new TaskItemView(node, view, getPos) },
+                details(node, view, getPos) { return new DetailsView(node, view, getPos) },
+                callout(node, view, getPos) { return new CalloutView(node, view, getPos, editorConfig) },
+                table(node, view, getPos) { return new TableView(node, view, getPos) },
+                captioned_table() { return new CaptionedTableView() },
             },
             // All text input makes callbacks to indicate the document state has changed.
             // For history, used handleTextInput, but that fires *before* input happens.
@@ -232,7 +275,7 @@ export class MarkupEditor {
                 'click': (view) => { setTimeout(() => { clicked(view, target) }, 0) },
                 'delete': () => { setTimeout(() => { callbackInput(target) }, 0) },
             },
-            handlePaste(view, event) {
+            handlePaste(view, event, slice) {
                 const { $from } = view.state.selection
                 const inCodeBlock = $from.parent.type === view.state.schema.nodes.code_block
                 if (inCodeBlock && event?.clipboardData) {
@@ -244,7 +287,9 @@ export class MarkupEditor {
                     }
                 }
                 setTimeout(() => { callbackInput(target) }, 0)
-                return false
+                // Pasting a table or its cells in a table fills the cells starting at the 
+                // selection, growing the table as needed
+                return handleTablePaste(view, event, slice)
             },
             handleKeyDown(view, event) {
                 switch (event.key) {
@@ -255,6 +300,11 @@ export class MarkupEditor {
                 }
                 return false
             },
+            // Copying a CellSelection puts TSV on the clipboard as text/plain, so it can be pasted 
+            // as cells in a spreadsheet. Otherwise, ProseMirror's default text is used.
+            clipboardTextSerializer(slice, view) {
+                return cellSelectionText(view.state)
+            },
             // Use createSelectionBetween to handle selection and click both.
             // We need access to `this.editor` for `selectionChanged`.
             // We use it guard against selecting across divs.
@@ -357,6 +407,18 @@ export const MU = {
     addHeader,
     addRow,
     borderTable,
+    setColumnWidth,
+    mergeCells,
+    splitCell,
+    setCellBackground,
+    setCellAlignment,
+    toggleHeaderColumn,
+    toggleTableCaption,
+    setTableCaption,
+    sortTable,
+    getTableData,
+    textToTable,
+    tableToText,
     callbackSelectImage,
     cancelSearch,
     canUndo,
@@ -378,13 +440,18 @@ export const MU = {
     getHTML,
     getHeight,
     getImageAttributes,
+    getJSON,
     getLinkAttributes,
+    getMarkdown,
     getSelectionState,
     getTestHTML,
     indent,
+    moveBlockUp,
+    moveBlockDown,
     insertImage,
     insertLink,
     insertTable,
+    insertDetails,
     insertHRule,
     loadUserFiles,
     modifyImage,
@@ -404,7 +471,11 @@ export const MU = {
     schema,
     searchFor,
     setActiveView,
+    setAlignment,
     setHTML,
+    setImageAlignment,
+    setJSON,
+    setMarkdown,
     setStyle,
     setTestHTML,
     setToolbarVisible,
@@ -418,9 +489,15 @@ export const MU = {
     testPasteTextPreprocessing,
     testPresentCodeLanguages,
     toggleBold,
+    toggleCallout,
+    toggleDefinitionList,
     toggleCode,
+    toggleColor,
+    toggleHighlight,
     toggleItalic,
     toggleListItem,
+    setListStart,
+    setListStyle,
     toggleStrike,
     toggleSubscript,
     toggleSuperscript,
@@ -24,6 +24,7 @@ export class MUError {
     
     static NoDiv = new MUError('NoDiv', 'A div could not be found to return HTML from.');
     static Style = new MUError('Style', 'Unable to apply style at selection.')
+    static InvalidJSON = new MUError('InvalidJSON', 'Unable to set the document from JSON.')
     
     setInfo(info) {
         this.info = info
@@ -0,0 +1,75 @@
+import { stateChanged } from "../markup.js"
+import { calloutClass } from "../schema/index.js"
+
+/**
+ * NodeView for callout. The header, holding an icon and a select to switch the kind of
+ * callout, is a DOM sibling of contentDOM, so it's never part of the editable content.
+ * Switching the kind sets the callout's `kind` attr in an undoable transaction.
+ *
+ * The `aside` has the same classes that toDOM produces, so the same CSS applies whether or
+ * not the view is in use. The icon for each kind is set in markup.css, and the kinds offered
+ * in the select are from the toolbar config's `calloutMenu`.
+ */
+export class CalloutView {
+    constructor(node, view, getPos, config) {
+        this.view = view
+        this.getPos = getPos
+        this.labels = config?.toolbar?.calloutMenu ?? {}
+        this.dom = document.createElement('aside')
+        this.header = document.createElement('div')
+        this.header.setAttribute('class', 'callout-header')
+        this.header.setAttribute('contenteditable', 'false')
+        this.icon = document.createElement('span')
+        this.icon.setAttribute('class', 'callout-icon')
+        this.kindSelect = document.createElement('select')
+        this.kindSelect.setAttribute('class', 'callout-kind')
+        this.kindSelect.setAttribute('title', 'Callout kind')
+        this.kindSelect.addEventListener('change', () => this.setKind(this.kindSelect.value))
+        this.header.appendChild(this.icon)
+        this.header.appendChild(this.kindSelect)
+        this.contentDOM = document.createElement('div')
+        this.contentDOM.setAttribute('class', 'callout-content')
+        this.dom.appendChild(this.header)
+        this.dom.appendChild(this.contentDOM)
+        this.syncKind(node)
+    }
+
+    update(node) {
+        if (node.type.name !== 'callout') return false
+        this.syncKind(node)
+        return true
+    }
+
+    // Let the header handle its own events rather than ProseMirror.
+    stopEvent(event) {
+        return this.header.contains(event.target)
+    }
+
+    ignoreMutation(mutation) {
+        return mutation.type !== 'selection' && !this.contentDOM.contains(mutation.target)
+    }
+
+    syncKind(node) {
+        this.kind = node.attrs.kind
+        this.dom.setAttribute('class', 'callout ' + calloutClass(this.kind))
+        // Offer the callout's own kind even if the config doesn't, so the select can show it
+        const kinds = Object.keys(this.labels)
+        if (!kinds.includes(this.kind)) kinds.push(this.kind)
+        const options = kinds.map(kind => {
+            const option = document.createElement('option')
+            option.value = kind
+            option.textContent = this.labels[kind] ?? kind
+            return option
+        })
+        this.kindSelect.replaceChildren(...options)
+        this.kindSelect.value = this.kind
+    }
+
+    setKind(kind) {
+        const pos = this.getPos()
+        if ((pos === undefined) || (kind === this.kind)) return
+        const transaction = this.view.state.tr.setNodeAttribute(pos, 'kind', kind)
+        this.view.dispatch(transaction)
+        stateChanged(this.view)
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * NodeView for captioned_table. The schema serializes it as a `<table>` whose first child
+ * is the `<caption>`, but in the editor its table is shown by the TableView inside of a
+ * `div.tableWrapper`, which can't be in a `<table>`. So, the view is a `div` holding the
+ * `<caption>` followed by the table, and markup.css lays out the `<caption>` like the
+ * caption of the table below it.
+ */
+export class CaptionedTableView {
+    constructor() {
+        this.dom = document.createElement('div')
+        this.dom.setAttribute('class', 'captioned-table')
+        this.contentDOM = this.dom
+    }
+}
@@ -0,0 +1,61 @@
+import { stateChanged } from "../markup.js"
+
+/**
+ * NodeView for details. The browser's own `<details>` toggles when its summary is
+ * clicked, which gets in the way of editing the summary, so the view is a `div` instead.
+ * The toggle button is a DOM sibling of contentDOM, so it's never part of the editable
+ * content, and clicking it toggles the details' `open` attr in an undoable transaction.
+ *
+ * The `data-open` attribute on the `div` shows or hides everything but the summary
+ * using CSS in markup.css.
+ */
+export class DetailsView {
+    constructor(node, view, getPos) {
+        this.view = view
+        this.getPos = getPos
+        this.dom = document.createElement('div')
+        this.dom.setAttribute('class', 'details')
+        this.toggleButton = document.createElement('button')
+        this.toggleButton.setAttribute('type', 'button')
+        this.toggleButton.setAttribute('class', 'details-toggle')
+        this.toggleButton.setAttribute('contenteditable', 'false')
+        // Avoid moving the selection out of the details just by clicking its toggle.
+        this.toggleButton.addEventListener('mousedown', (ev) => ev.preventDefault())
+        this.toggleButton.addEventListener('click', () => this.toggle())
+        this.contentDOM = document.createElement('div')
+        this.contentDOM.setAttribute('class', 'details-content')
+        this.dom.appendChild(this.toggleButton)
+        this.dom.appendChild(this.contentDOM)
+        this.syncOpen(node)
+    }
+
+    update(node) {
+        if (node.type.name !== 'details') return false
+        this.syncOpen(node)
+        return true
+    }
+
+    // Let the toggle button handle its own events rather than ProseMirror.
+    stopEvent(event) {
+        return event.target === this.toggleButton
+    }
+
+    ignoreMutation(mutation) {
+        return mutation.type !== 'selection' && !this.contentDOM.contains(mutation.target)
+    }
+
+    syncOpen(node) {
+        this.open = node.attrs.open
+        this.dom.setAttribute('data-open', this.open ? 'true' : 'false')
+        this.toggleButton.setAttribute('aria-expanded', this.open ? 'true' : 'false')
+        this.toggleButton.setAttribute('title', this.open ? 'Collapse' : 'Expand')
+    }
+
+    toggle() {
+        const pos = this.getPos()
+        if (pos === undefined) return
+        const transaction = this.view.state.tr.setNodeAttribute(pos, 'open', !this.open)
+        this.view.dispatch(transaction)
+        stateChanged(this.view)
+    }
+}
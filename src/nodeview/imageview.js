@@ -1,19 +1,33 @@
-import {selectionChanged} from "../markup"
+import {selectionChanged, setImageAlignmentCommand} from "../markup"
 import {activeView, activeDocument} from "../registry"
+import {imageAlignClass} from "../schema/index.js"
 import {NodeSelection} from "prosemirror-state"
 
+/**
+ * The alignments shown in the alignment control of a selected image, with the names
+ * of their icons and help in the toolbar config.
+ * @ignore
+ */
+const imageAlignControls = [
+    {align: 'inline', name: 'imageInline'},
+    {align: 'left', name: 'imageLeft'},
+    {align: 'center', name: 'imageCenter'},
+    {align: 'right', name: 'imageRight'}
+]
+
 /**
  * The NodeView to support resizable images and callbacks, as installed in main.js.
  * 
  * The ResizableImage instance holds onto the actual HTMLImageElement and deals with the styling,
- * event listeners, and resizing work.
+ * event listeners, and resizing work. When selected, it also shows a small control alongside 
+ * the resizing handles to set the image alignment, using icons from the toolbar config.
  * 
  * Many thanks to contributors to this thread: https://discuss.prosemirror.net/t/image-resize/1489
  * and the accompanying Glitch project https://glitch.com/edit/#!/toothsome-shoemaker
  */
 export class ImageView {
-    constructor(node, view, getPos) {
-        this.resizableImage = new ResizableImage(node, getPos())
+    constructor(node, view, getPos, config) {
+        this.resizableImage = new ResizableImage(node, getPos(), config?.toolbar)
         this.dom = this.resizableImage.imageContainer
     }
     
@@ -44,8 +58,10 @@ export class ImageView {
  */
 class ResizableImage {
     
-    constructor(node, pos) {
+    constructor(node, pos, toolbarConfig) {
         this._pos = pos;                    // How to find node in view.state.doc
+        this._align = node.attrs.align;     // Null for an image inline with text
+        this._toolbarConfig = toolbarConfig // For the icons and help of the alignment control
         this._minImageSize = 18             // Large enough for visibility and for the handles to display properly
         this._imageElement = this.imageElementFrom(node);
         this._imageContainer = this.containerFor(this.imageElement);
@@ -121,6 +137,17 @@ class ResizableImage {
         view.dispatch(transaction);
     };
 
+    /**
+     * Set the alignment of the image in a transaction so that it can be undone. The
+     * image remains selected, so the alignment control continues to show.
+     * @param {string} align    One of "inline", "left", "center", or "right".
+     */
+    imageAligned(align) {
+        const view = activeView()
+        const command = setImageAlignmentCommand(align)
+        command(view.state, view.dispatch, view)
+    };
+
     /**
      * Return the HTML Image Element displayed in the ImageView
      * @param {Node} node 
@@ -178,16 +205,18 @@ class ResizableImage {
      */
     containerFor(imageElement) {
         const imageContainer = document.createElement('span');
+        if (this._align) imageContainer.classList.add(imageAlignClass(this._align));
         imageContainer.appendChild(imageElement);
         return imageContainer
     }
 
     /**
      * Set the attributes for the imageContainer and populate the spans that show the 
-     * resizing handles. Add the mousedown event listener to initiate resizing.
+     * resizing handles and the alignment control. Add the mousedown event listener to 
+     * initiate resizing.
      */
     select() {
-        this.imageContainer.setAttribute('class', 'resize-container');
+        this.imageContainer.classList.add('resize-container');
         const nwHandle = document.createElement('span');
         nwHandle.setAttribute('class', 'resize-handle resize-handle-nw');
         this.imageContainer.insertBefore(nwHandle, this.imageElement);
@@ -200,20 +229,50 @@ class ResizableImage {
         const seHandle = document.createElement('span');
         seHandle.setAttribute('class', 'resize-handle resize-handle-se');
         this.imageContainer.insertBefore(seHandle, null);
+        this.imageContainer.insertBefore(this.alignControl(), null);
         this.imageContainer.addEventListener('mousedown', this.startResize = this.startResize.bind(this));
         this.addPinchGestureEvents();
     }
 
     /**
      * Remove the attributes for the imageContainer and the spans that show the 
-     * resizing handles. Remove the mousedown event listener.
+     * resizing handles and the alignment control. Remove the mousedown event listener.
      */
     deselect() {
         this.removePinchGestureEvents();
         this.imageContainer.removeEventListener('mousedown', this.startResize);
-        const handles = this.imageContainer.querySelectorAll('span');
+        const handles = this.imageContainer.querySelectorAll(':scope > span');
         handles.forEach((handle) => {this.imageContainer.removeChild(handle)});
-        this.imageContainer.removeAttribute('class');
+        this.imageContainer.classList.remove('resize-container');
+    }
+
+    /**
+     * Return a span holding a button for each image alignment, with the current 
+     * alignment shown as active. The buttons handle their own mousedown so that 
+     * pressing one never starts resizing.
+     * @returns HTML Span element
+     */
+    alignControl() {
+        const control = document.createElement('span');
+        control.setAttribute('class', 'resize-align-control');
+        control.setAttribute('contenteditable', 'false');
+        const current = this._align ?? 'inline';
+        imageAlignControls.forEach(({align, name}) => {
+            const button = document.createElement('button');
+            button.setAttribute('type', 'button');
+            button.setAttribute('class', 'resize-align-button');
+            if (align === current) button.classList.add('resize-align-active');
+            const title = this._toolbarConfig?.help?.[name];
+            if (title) button.setAttribute('title', title);
+            button.innerHTML = this._toolbarConfig?.icons?.[name] ?? align;
+            button.addEventListener('mousedown', (ev) => {
+                ev.preventDefault();
+                ev.stopPropagation();
+                this.imageAligned(align);
+            });
+            control.appendChild(button);
+        });
+        return control
     }
 
     /**
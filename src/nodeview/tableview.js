@@ -0,0 +1,32 @@
+import { TableView as ResizingTableView } from "prosemirror-tables"
+import { defaultCellMinWidth } from "../markup.js"
+
+/**
+ * NodeView for table, which the columnResizing plugin uses to show column widths. The view
+ * from prosemirror-tables wraps the `table` in a `div.tableWrapper` and holds the widths
+ * from the cells' `colwidth` attrs in a `colgroup`, but it doesn't know about the `class`
+ * attr that specifies bordering, so we keep it on the `table` here.
+ *
+ * The tablePlugin's bordering decoration ends up on the `div.tableWrapper`, which is
+ * why markup.css removes any border from the wrapper.
+ */
+export class TableView extends ResizingTableView {
+    constructor(node) {
+        super(node, defaultCellMinWidth)
+        this.syncClass(node)
+    }
+
+    update(node) {
+        if (!super.update(node)) return false
+        this.syncClass(node)
+        return true
+    }
+
+    syncClass(node) {
+        if (node.attrs.class) {
+            this.table.setAttribute('class', node.attrs.class)
+        } else {
+            this.table.removeAttribute('class')
+        }
+    }
+}
@@ -0,0 +1,55 @@
+import { stateChanged } from "../markup.js"
+
+/**
+ * NodeView for task_item. The checkbox is a DOM sibling of contentDOM, so it's
+ * never part of the editable content, and clicking it toggles the item's `checked`
+ * attr in an undoable transaction.
+ *
+ * The `data-checked` attribute on the `li` mirrors what toDOM produces, so the
+ * same CSS applies whether or not the view is in use.
+ */
+export class TaskItemView {
+    constructor(node, view, getPos) {
+        this.view = view
+        this.getPos = getPos
+        this.dom = document.createElement('li')
+        this.checkbox = document.createElement('input')
+        this.checkbox.setAttribute('type', 'checkbox')
+        this.checkbox.setAttribute('contenteditable', 'false')
+        // Avoid moving the selection out of the item just by clicking its checkbox.
+        this.checkbox.addEventListener('mousedown', (ev) => ev.preventDefault())
+        this.checkbox.addEventListener('change', () => this.toggle())
+        this.contentDOM = document.createElement('div')
+        this.dom.appendChild(this.checkbox)
+        this.dom.appendChild(this.contentDOM)
+        this.syncChecked(node)
+    }
+
+    update(node) {
+        if (node.type.name !== 'task_item') return false
+        this.syncChecked(node)
+        return true
+    }
+
+    // Let the checkbox handle its own events rather than ProseMirror.
+    stopEvent(event) {
+        return event.target === this.checkbox
+    }
+
+    ignoreMutation(mutation) {
+        return mutation.type !== 'selection' && !this.contentDOM.contains(mutation.target)
+    }
+
+    syncChecked(node) {
+        this.checkbox.checked = node.attrs.checked
+        this.dom.setAttribute('data-checked', node.attrs.checked ? 'true' : 'false')
+    }
+
+    toggle() {
+        const pos = this.getPos()
+        if (pos === undefined) return
+        const transaction = this.view.state.tr.setNodeAttribute(pos, 'checked', this.checkbox.checked)
+        this.view.dispatch(transaction)
+        stateChanged(this.view)
+    }
+}
@@ -230,6 +230,8 @@ class Registry {
      * For example, a `run` function could be part of the `plugin`, which could, 
      * by convention of the application environment the markupeditor is used in, 
      * be used to run the `plugin` to perform some action or return something.
+     * A `plugin` of type `command` adds an entry to the slash command menu, whose `run` 
+     * is a ProseMirror Command and whose `label` shows in the menu in place of its `name`.
      *
      * @param {object}  plugin  Plugin object with string properties for {name, type} at minimum.
      * @param {string}  name    The key used to retrieve and invoke the plugin. Taken from `plugin.name` by default.
@@ -512,6 +514,8 @@ export const setSelectedID = _registry.setSelectedID.bind(_registry)
  * For example, a `run` function could be part of the `plugin`, which could, 
  * by convention of the application environment the markupeditor is used in, 
  * be used to run the `plugin` to perform some action or return something.
+ * A `plugin` of type `command` adds an entry to the slash command menu, whose `run` 
+ * is a ProseMirror Command and whose `label` shows in the menu in place of its `name`.
  *
  * @function
  * @param {object}  plugin  Plugin object with string properties for {name, type} at minimum.
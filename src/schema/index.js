@@ -1,4 +1,4 @@
-import {Schema} from "prosemirror-model"
+import {Schema, DOMParser, DOMSerializer, Fragment} from "prosemirror-model"
 import {tableNodes} from "prosemirror-tables"
 import {addListNodes} from "prosemirror-schema-list"
 import {default as OrderedMap} from "orderedmap"
@@ -6,7 +6,151 @@ import {default as OrderedMap} from "orderedmap"
 const pDOM = ["p", 0],
       blockquoteDOM = ["blockquote", 0],
       hrDOM = ["hr"],
-      brDOM = ["br"]
+      brDOM = ["br"],
+      figureDOM = ["figure", 0],
+      figureImageDOM = ["span", 0],
+      figcaptionDOM = ["figcaption", 0],
+      summaryDOM = ["summary", 0],
+      captionDOM = ["caption", 0]
+
+// :: [string] The values of the `align` attribute supported by paragraph and heading. Left
+// alignment is the default, so it is held as a null `align` and not serialized.
+export const alignments = ["left", "center", "right", "justify"]
+
+// Return the `align` attr for a paragraph or heading from its `text-align` style.
+function alignFromDOM(dom) {
+  const align = dom.style.textAlign
+  return (align && align !== "left" && alignments.includes(align)) ? align : null
+}
+
+// Return the DOM attributes for a paragraph or heading with the `align` attr.
+function alignToDOM(align) {
+  return align ? {style: `text-align: ${align};`} : {}
+}
+
+// :: [string] The values of the `valign` attribute supported by table cells. Their `align`
+// attribute uses `alignments`, but keeps "left", since a header cell is centered by default.
+export const verticalAlignments = ["top", "middle", "bottom"]
+
+// :: Object<[string]> The values of the `listStyle` attribute supported by ordered_list and 
+// bullet_list, which are CSS list-style-type values. The browser's default for each is held 
+// as a null `listStyle` and not serialized.
+export const listStyles = {
+  ordered_list: ["decimal", "lower-alpha", "upper-alpha", "lower-roman", "upper-roman"],
+  bullet_list: ["disc", "circle", "square"]
+}
+
+// The list-style-type for each value of the `type` attribute of `<ol>` and `<ul>` in HTML.
+const listTypeStyles = {"1": "decimal", "a": "lower-alpha", "A": "upper-alpha", "i": "lower-roman", "I": "upper-roman", 
+  "disc": "disc", "circle": "circle", "square": "square"}
+
+// Return the `listStyle` attr for a list of type `name` from its `list-style-type` style, 
+// or from its legacy `type` attribute.
+function listStyleFromDOM(dom, name) {
+  const listStyle = dom.style.listStyleType || listTypeStyles[dom.getAttribute("type")]
+  return listStyles[name].includes(listStyle) ? listStyle : null
+}
+
+// Return the DOM attrs for the `listStyle` of a list.
+function listStyleDOMAttrs(listStyle) {
+  return listStyle ? {style: `list-style-type: ${listStyle};`} : {}
+}
+
+// :: [string] The values of the `align` attribute supported by image. An image that is
+// inline with text is the default, so it is held as a null `align` and not serialized.
+export const imageAlignments = ["left", "center", "right"]
+
+// Return the class that holds the `align` attr of an image.
+export function imageAlignClass(align) {
+  return "image-align-" + align
+}
+
+// Return the `align` attr for an image from its class.
+function imageAlignFromDOM(dom) {
+  return imageAlignments.find(align => dom.classList.contains(imageAlignClass(align))) ?? null
+}
+
+// Return the class that holds the `kind` attr of a callout.
+export function calloutClass(kind) {
+  return "callout-" + kind
+}
+
+// Return whether `kind` can be used as the `kind` attr of a callout, which is held in a class.
+export function isCalloutKind(kind) {
+  return (typeof kind === "string") && /^[a-z][a-z0-9-]*$/.test(kind)
+}
+
+// Return the attrs for a callout with the `kind` from its class, if it has one.
+function calloutAttrsFromDOM(dom) {
+  const kindClass = Array.from(dom.classList).find(cls => cls.startsWith("callout-") && isCalloutKind(cls.slice("callout-".length)))
+  return kindClass ? {kind: kindClass.slice("callout-".length)} : {}
+}
+
+// Return the content for a details node from its DOM. The summary is parsed separately
+// from the rest of the content, so that a missing summary is replaced by an empty one
+// rather than ending the details where its first block is found.
+function detailsContentFromDOM(dom, schema) {
+  const parser = DOMParser.fromSchema(schema)
+  const summaryType = schema.nodes.details_summary
+  const body = dom.cloneNode(true)
+  const summaryDOM = body.querySelector(":scope > summary")
+  let summary = summaryType.create()
+  if (summaryDOM) {
+    summary = parser.parse(summaryDOM, {topNode: summary})
+    summaryDOM.remove()
+  }
+  return Fragment.from(summary).append(parser.parseSlice(body).content)
+}
+
+// Return the content for a captioned_table from the DOM of its `<table>`. The caption and 
+// the rows are parsed separately, so the rows end up in a table that keeps the class used 
+// for bordering.
+function captionedTableContentFromDOM(dom, schema) {
+  const parser = DOMParser.fromSchema(schema)
+  const body = dom.cloneNode(true)
+  const captionDOM = body.querySelector(":scope > caption")
+  const caption = parser.parse(captionDOM, {topNode: schema.nodes.table_caption.create()})
+  captionDOM.remove()
+  const table = parser.parse(body, {topNode: schema.nodes.table.create({class: dom.getAttribute("class")})})
+  return Fragment.from([caption, table])
+}
+
+// Return the DOM for a captioned_table, a `<table>` holding the `<caption>` followed by 
+// the rows of its table in a `<tbody>`. Because the caption has to be inside of the 
+// `<table>`, the content is serialized here rather than in a content hole.
+function captionedTableToDOM(node) {
+  const serializer = DOMSerializer.fromSchema(node.type.schema)
+  const table = (node.childCount > 1) ? node.lastChild : null
+  const caption = ["caption", serializer.serializeFragment(node.firstChild.content)]
+  if (!table) return ["table", caption]
+  return ["table", table.attrs, caption, ["tbody", serializer.serializeFragment(table.content)]]
+}
+
+// Return the inline content for a definition_term or definition_desc from its DOM. A `<dd>`
+// often holds paragraphs or other blocks, which would otherwise end the definition list where
+// they are found, so the text of each textblock is kept and separated by a hard_break.
+function definitionContentFromDOM(dom, schema) {
+  const content = DOMParser.fromSchema(schema).parseSlice(dom).content
+  const hardBreak = schema.nodes.hard_break
+  const inline = []
+  const addTextblock = (textblock) => {
+    if (inline.length > 0) inline.push(hardBreak.create())
+    textblock.content.forEach(child => inline.push(child))
+  }
+  content.forEach(node => {
+    if (node.isInline) {
+      inline.push(node)
+    } else if (node.isTextblock) {
+      addTextblock(node)
+    } else {
+      node.descendants(child => {
+        if (child.isTextblock) addTextblock(child)
+        return !child.isTextblock
+      })
+    }
+  })
+  return Fragment.from(inline)
+}
 
 let baseNodes = OrderedMap.from({
   // :: NodeSpec The top level document node.
@@ -15,12 +159,16 @@ let baseNodes = OrderedMap.from({
   },
 
   // :: NodeSpec A plain paragraph textblock. Represented in the DOM
-  // as a `<p>` element.
+  // as a `<p>` element, with an optional `text-align` style from the
+  // `align` attribute.
   paragraph: {
+    attrs: {
+      align: {default: null}
+    },
     content: "inline*",
     group: "block",
-    parseDOM: [{tag: "p"}],
-    toDOM() { return pDOM }
+    parseDOM: [{tag: "p", getAttrs(dom) { return {align: alignFromDOM(dom)}}}],
+    toDOM(node) { return node.attrs.align ? ["p", alignToDOM(node.attrs.align), 0] : pDOM }
   },
 
   // :: NodeSpec A blockquote (`<blockquote>`) wrapping one or more blocks.
@@ -42,23 +190,25 @@ let baseNodes = OrderedMap.from({
   // :: NodeSpec A heading textblock, with a `level` attribute that
   // should hold the number 1 to 6. Parsed and serialized as `<h1>` to
   // `<h6>` elements. We include ID so that local links can reference them.
+  // The `align` attribute is represented as a `text-align` style.
   heading: {
     attrs: {
       id: {default: null},
-      level: {default: 1}
+      level: {default: 1},
+      align: {default: null}
     },
     content: "inline*",
     group: "block",
     defining: true,
     parseDOM: [
-      {tag: "h1", getAttrs(dom) { return {level: 1, id: dom.getAttribute("id")}}},
-      {tag: "h2", getAttrs(dom) { return {level: 2, id: dom.getAttribute("id")}}},
-      {tag: "h3", getAttrs(dom) { return {level: 3, id: dom.getAttribute("id")}}},
-      {tag: "h4", getAttrs(dom) { return {level: 4, id: dom.getAttribute("id")}}},
-      {tag: "h5", getAttrs(dom) { return {level: 5, id: dom.getAttribute("id")}}},
-      {tag: "h6", getAttrs(dom) { return {level: 6, id: dom.getAttribute("id")}}}],
+      {tag: "h1", getAttrs(dom) { return {level: 1, id: dom.getAttribute("id"), align: alignFromDOM(dom)}}},
+      {tag: "h2", getAttrs(dom) { return {level: 2, id: dom.getAttribute("id"), align: alignFromDOM(dom)}}},
+      {tag: "h3", getAttrs(dom) { return {level: 3, id: dom.getAttribute("id"), align: alignFromDOM(dom)}}},
+      {tag: "h4", getAttrs(dom) { return {level: 4, id: dom.getAttribute("id"), align: alignFromDOM(dom)}}},
+      {tag: "h5", getAttrs(dom) { return {level: 5, id: dom.getAttribute("id"), align: alignFromDOM(dom)}}},
+      {tag: "h6", getAttrs(dom) { return {level: 6, id: dom.getAttribute("id"), align: alignFromDOM(dom)}}}],
     toDOM(node) { 
-      return ["h" + node.attrs.level, { id: node.attrs.id }, 0]
+      return ["h" + node.attrs.level, { id: node.attrs.id, ...alignToDOM(node.attrs.align) }, 0]
     }
   },
 
@@ -97,14 +247,16 @@ let baseNodes = OrderedMap.from({
 
   // :: NodeSpec An inline image (`<img>`) node. Supports `src`,
   // `alt`, and `href` attributes. The latter two default to the empty
-  // string.
+  // string. The `align` attribute is one of `imageAlignments` or null for an image 
+  // that is inline with text, and is held as an `image-align-*` class.
   image: {
     inline: true,
     attrs: {
       src: {},
       alt: {default: null},
       width: {default: null},
-      height: {default: null}
+      height: {default: null},
+      align: {default: null}
     },
     group: "inline",
     parseDOM: [{
@@ -116,21 +268,89 @@ let baseNodes = OrderedMap.from({
           src: dom.getAttribute("src"),
           alt: dom.getAttribute("alt"),
           width: width,
-          height: height
+          height: height,
+          align: imageAlignFromDOM(dom)
         }
       }
     }],
     toDOM(node) { 
-      let {src, alt, width, height} = node.attrs; 
+      let {src, alt, width, height, align} = node.attrs; 
       let minAttrs = {}
       minAttrs.src = src
       if (alt) minAttrs.alt = alt
       if (width) minAttrs.width = width
       if (height) minAttrs.height = height
+      if (align) minAttrs.class = imageAlignClass(align)
       return ["img", minAttrs] 
     }
   },
 
+  // :: NodeSpec A figure (`<figure>`) that holds an image and its editable
+  // caption (`<figcaption>`). Because a node can't mix inline and block content,
+  // the image is held in a figure_image, which is serialized as a `<span>` that
+  // getHTML removes. The figure_image is never parsed itself. Instead, the `<img>`
+  // in a `<figure>` is wrapped in one to fit the figure's content. The image is
+  // optional only because it can't be generated when missing; the figurePlugin
+  // removes any figure whose image has been deleted.
+  figure: {
+    content: "figure_image figcaption",
+    group: "block",
+    defining: true,
+    parseDOM: [{tag: "figure"}],
+    toDOM() { return figureDOM }
+  },
+
+  figure_image: {
+    content: "image?",
+    toDOM() { return figureImageDOM }
+  },
+
+  figcaption: {
+    content: "inline*",
+    parseDOM: [{tag: "figcaption"}],
+    toDOM() { return figcaptionDOM }
+  },
+
+  // :: NodeSpec A collapsible section (`<details>`) with an editable summary
+  // followed by block content. The `open` attribute holds whether it is expanded,
+  // so that it shows the same way outside of the MarkupEditor.
+  details: {
+    attrs: {
+      open: {default: false}
+    },
+    content: "details_summary block+",
+    group: "block",
+    defining: true,
+    parseDOM: [{
+      tag: "details",
+      getAttrs(dom) { return {open: dom.hasAttribute("open")} },
+      getContent: detailsContentFromDOM
+    }],
+    toDOM(node) { return ["details", node.attrs.open ? {open: ""} : {}, 0] }
+  },
+
+  // :: NodeSpec The `<summary>` that is always shown for a details node.
+  details_summary: {
+    content: "inline*",
+    defining: true,
+    parseDOM: [{tag: "summary"}],
+    toDOM() { return summaryDOM }
+  },
+
+  // :: NodeSpec A callout (`<aside>`), also known as an admonition, holding block
+  // content. Its `kind`, like "note" or "warning", is held in a `callout-*` class
+  // alongside the `callout` class. The kinds offered are set in the toolbar config.
+  callout: {
+    attrs: {
+      kind: {default: "note"}
+    },
+    content: "block+",
+    group: "block",
+    defining: true,
+    parseDOM: [{tag: "aside.callout", getAttrs: calloutAttrsFromDOM}],
+    toDOM(node) { return ["aside", {class: "callout " + calloutClass(node.attrs.kind)}, 0] }
+  },
+
   // :: NodeSpec A hard line break, represented in the DOM as `<br>`.
   hard_break: {
     inline: true,
@@ -251,6 +471,93 @@ let baseNodes = OrderedMap.from({
 // Mix the nodes from prosemirror-schema-list into the baseNodes to create a schema with list support.
 baseNodes = addListNodes(baseNodes, '(paragraph | heading)+ block*', 'block');
 
+// Add the `listStyle` attr to ordered_list and bullet_list, so their numbering or bullets 
+// can be changed.
+baseNodes = baseNodes.update('ordered_list', {
+  ...baseNodes.get('ordered_list'),
+  attrs: {order: {default: 1, validate: 'number'}, listStyle: {default: null}},
+  parseDOM: [{
+    tag: 'ol',
+    getAttrs(dom) {
+      return {
+        order: dom.hasAttribute('start') ? +dom.getAttribute('start') : 1,
+        listStyle: listStyleFromDOM(dom, 'ordered_list')
+      }
+    }
+  }],
+  toDOM(node) {
+    const attrs = (node.attrs.order != 1) ? {start: node.attrs.order} : {};
+    return ['ol', {...attrs, ...listStyleDOMAttrs(node.attrs.listStyle)}, 0]
+  }
+});
+baseNodes = baseNodes.update('bullet_list', {
+  ...baseNodes.get('bullet_list'),
+  attrs: {listStyle: {default: null}},
+  parseDOM: [{
+    tag: 'ul',
+    getAttrs(dom) {
+      return {listStyle: listStyleFromDOM(dom, 'bullet_list')}
+    }
+  }],
+  toDOM(node) { return ['ul', listStyleDOMAttrs(node.attrs.listStyle), 0] }
+});
+
+// Add task list (aka checklist) nodes, which parallel bullet_list and list_item, but each
+// task_item has a `checked` attribute. Represented in the DOM as
+// `<ul data-type="tasklist"><li data-checked="true">`. The parse rule for task_list has a
+// higher priority than the default so it takes precedence over the rule for bullet_list.
+baseNodes = baseNodes.append({
+  task_list: {
+    content: 'task_item+',
+    group: 'block',
+    parseDOM: [{tag: 'ul[data-type="tasklist"]', priority: 60}],
+    toDOM() { return ['ul', {'data-type': 'tasklist'}, 0] }
+  },
+
+  task_item: {
+    attrs: {
+      checked: {default: false}
+    },
+    content: '(paragraph | heading)+ block*',
+    defining: true,
+    parseDOM: [{
+      tag: 'li[data-checked]',
+      priority: 60,
+      getAttrs(dom) {
+        const checked = dom.getAttribute('data-checked')
+        return {checked: (checked === 'true') || (checked === '')}
+      }
+    }],
+    toDOM(node) { return ['li', {'data-checked': node.attrs.checked ? 'true' : 'false'}, 0] }
+  }
+});
+
+// Add definition list nodes, `<dl>` holding any sequence of `<dt>` and `<dd>`. Both terms 
+// and descriptions hold inline content, so Enter can alternate between them and indenting 
+// or outdenting just changes one into the other.
+baseNodes = baseNodes.append({
+  definition_list: {
+    content: '(definition_term | definition_desc)+',
+    group: 'block',
+    parseDOM: [{tag: 'dl'}],
+    toDOM() { return ['dl', 0] }
+  },
+
+  definition_term: {
+    content: 'inline*',
+    defining: true,
+    parseDOM: [{tag: 'dt', getContent: definitionContentFromDOM}],
+    toDOM() { return ['dt', 0] }
+  },
+
+  definition_desc: {
+    content: 'inline*',
+    defining: true,
+    parseDOM: [{tag: 'dd', getContent: definitionContentFromDOM}],
+    toDOM() { return ['dd', 0] }
+  }
+});
+
 // Create table nodes that support bordering
 const tNodes = tableNodes({
   tableGroup: 'block',
@@ -266,11 +573,42 @@ const tNodes = tableNodes({
           attrs.style = (attrs.style || '') + `background-color: ${value};`;
       },
     },
+    align: {
+      default: null,
+      getFromDOM(dom) {
+        return alignments.includes(dom.style.textAlign) ? dom.style.textAlign : null;
+      },
+      setDOMAttr(value, attrs) {
+        if (value)
+          attrs.style = (attrs.style || '') + `text-align: ${value};`;
+      },
+    },
+    valign: {
+      default: null,
+      getFromDOM(dom) {
+        return verticalAlignments.includes(dom.style.verticalAlign) ? dom.style.verticalAlign : null;
+      },
+      setDOMAttr(value, attrs) {
+        if (value)
+          attrs.style = (attrs.style || '') + `vertical-align: ${value};`;
+      },
+    },
+    // A table_header in the first column of a body row has scope "row" to identify it 
+    // as part of a header column rather than the header row.
+    scope: {
+      default: null,
+      getFromDOM(dom) {
+        return dom.getAttribute('scope');
+      },
+      setDOMAttr(value, attrs) {
+        if (value) attrs.scope = value;
+      },
+    },
   }
 });
-tNodes.table.attrs = {class: {default: null}};
 // The class for table indicates the type of bordering so needs to be parsed and output as 
 // part of the table.
+tNodes.table.attrs = {class: {default: null}};
 tNodes.table.parseDOM = [{
   tag: 'table', 
   getAttrs(dom) {
@@ -279,6 +617,30 @@ tNodes.table.parseDOM = [{
 }];
 tNodes.table.toDOM = (node) => { return ['table', node.attrs, 0] };
 
+// A table with a `<caption>` is held in a captioned_table along with its table_caption, 
+// because prosemirror-tables expects every child of a table to be a table_row. The 
+// captioned_table is parsed from and serialized as the `<table>` itself, with the caption 
+// first, while the CaptionedTableView shows it in the editor as a `div` holding both. As with 
+// the figure_image in a figure, the table is optional only because it can't be generated when 
+// missing; the captionedTablePlugin removes any captioned_table whose table has been deleted.
+tNodes.captioned_table = {
+  content: 'table_caption table?',
+  group: 'block',
+  defining: true,
+  parseDOM: [{
+    tag: 'table',
+    priority: 60,   // Ahead of the table's own rule
+    getAttrs(dom) { return dom.querySelector(':scope > caption') ? null : false },
+    getContent: captionedTableContentFromDOM
+  }],
+  toDOM: captionedTableToDOM
+};
+
+tNodes.table_caption = {
+  content: 'inline*',
+  toDOM() { return captionDOM }
+};
+
 // Append the modified tableNodes and export the resulting nodes
 // :: Object
 // [Specs](#model.NodeSpec) for the nodes defined in this schema.
@@ -290,7 +652,8 @@ const emDOM = ["em", 0],
       strikeDOM = ["s", 0],
       uDOM = ["u", 0],
       subDOM = ["sub", 0],
-      supDOM = ["sup", 0]
+      supDOM = ["sup", 0],
+      markDOM = ["mark", 0]
 
 // :: Object [Specs](#model.MarkSpec) for the marks in the schema.
 export const marks = {
@@ -348,13 +711,71 @@ export const marks = {
     toDOM() { return strongDOM }
   },
 
-  // :: MarkSpec Code font mark. Represented as a `<code>` element.
+  // :: MarkSpec Code font mark. Represented as a `<code>` element. Marked as `code` 
+  // so input rules don't fire inside of it.
   code: {
+    code: true,
     parseDOM: [{tag: "code"}],
     toDOM() { return codeDOM }
+  },
+
+  // :: MarkSpec A highlight mark. Represented as a `<mark>` element, with
+  // a `background-color` style when its `color` attribute is set. The
+  // `background-color` style of a span, as in pasted HTML, is also parsed as
+  // a highlight at a lower priority, except in code.
+  highlight: {
+    attrs: {
+      color: {default: null}
+    },
+    parseDOM: [
+      {tag: "mark", getAttrs(dom) { return {color: dom.style.backgroundColor || null} }},
+      {tag: "span[style]", consuming: false, priority: 40, getAttrs(dom) { 
+        return styleColor(dom, dom.style.backgroundColor, ["white", "#fff", "#ffffff", "rgb(255, 255, 255)"]) 
+      }}
+    ],
+    toDOM(mark) { 
+      let color = mark.attrs.color
+      return color ? ["mark", {style: `background-color: ${color};`}, 0] : markDOM
+    }
+  },
+
+  // :: MarkSpec A text color mark. Represented as a `<span>` with a `color`
+  // style and `data-color`. The `color` style of other spans, as in pasted HTML,
+  // is parsed at a lower priority, except in code, so that syntax-highlighted
+  // code stays plain.
+  color: {
+    attrs: {
+      color: {}
+    },
+    parseDOM: [
+      {tag: "span[data-color]", getAttrs(dom) { 
+        let color = dom.style.color || dom.getAttribute("data-color")
+        return color ? {color} : false
+      }},
+      {tag: "span[style]", consuming: false, priority: 40, getAttrs(dom) { 
+        return styleColor(dom, dom.style.color, ["black", "#000", "#000000", "rgb(0, 0, 0)", "windowtext"]) 
+      }}
+    ],
+    toDOM(mark) { 
+      let color = mark.attrs.color
+      return ["span", {"data-color": color, style: `color: ${color};`}, 0] 
+    }
   }
 }
 
+// Return the attrs of a color mark for the CSS color `value` of the style of `dom`, or 
+// false when it is one of the `defaults` or doesn't set a color. Pasted HTML, like from 
+// Google Docs, often restates the default black text on a transparent background for 
+// every span. Colors in code, including code from editors like VSCode that is styled 
+// with `white-space: pre` rather than in a `<pre>`, are syntax highlighting, not marks.
+function styleColor(dom, value, defaults) {
+  let color = value.trim().toLowerCase()
+  let unset = ["", "transparent", "inherit", "initial", "unset", "currentcolor"]
+  if (unset.includes(color) || defaults.includes(color)) return false
+  if (dom.closest("pre, code, [style*='white-space: pre'], [style*='white-space:pre']")) return false
+  return {color: value.trim()}
+}
+
 // :: Schema
 // This schema roughly corresponds to the document schema used by
 // [CommonMark](http://commonmark.org/), minus the list elements,
@@ -0,0 +1,72 @@
+/**
+ * Versioning for the JSON document format produced by `getJSON` and consumed by `setJSON`.
+ *
+ * The JSON format is `{"version": <schemaVersion>, "doc": <ProseMirror doc JSON>}`. Whenever
+ * a node or mark in the schema changes in a way that makes previously saved JSON load
+ * incorrectly (e.g., an attr is renamed or its meaning changes), bump `schemaVersion` and
+ * add an entry to `migrations` that upgrades a doc from the previous version. Adding a new
+ * attr with a default, or a new node or mark, doesn't require a migration, because
+ * ProseMirror fills in defaults for missing attrs when loading.
+ */
+
+/**
+ * The version of the schema in `src/schema/index.js` as reflected in JSON documents.
+ *
+ * Version history:
+ *
+ * 1. The original schema.
+ */
+export const schemaVersion = 1
+
+/**
+ * Functions that upgrade doc JSON from the version they are keyed by to the next version.
+ * Each is passed the doc JSON and returns the upgraded doc JSON.
+ *
+ * There are none yet. To add the first, bump `schemaVersion` to 2, describe the change in
+ * its version history, and add an entry keyed by 1 that upgrades a version 1 doc, using
+ * `mapNodes` to change the nodes of a type. For example, if an attr were renamed:
+ *
+ * ```
+ * 1: (doc) => mapNodes(doc, (node) => {
+ *     if (node.type !== 'image') return node
+ *     const {oldName, ...attrs} = node.attrs ?? {}
+ *     return {...node, attrs: {...attrs, newName: oldName}}
+ * }),
+ * ```
+ * @ignore
+ */
+const migrations = {
+}
+
+/**
+ * Return the doc JSON from `json` upgraded from its version to `schemaVersion`.
+ *
+ * JSON with no version is treated as version 1, and a bare doc (which has no `doc`
+ * property) is accepted in place of the versioned format.
+ *
+ * @param {object} json The versioned document JSON, `{version, doc}`
+ * @returns {object} The doc JSON, suitable for `Node.fromJSON`
+ * @throws {RangeError} If the version is newer than `schemaVersion` or otherwise unknown
+ */
+export function migrate(json) {
+    let doc = json.doc ?? json
+    let version = json.version ?? 1
+    if (!Number.isInteger(version) || version < 1 || version > schemaVersion) {
+        throw new RangeError(`Unsupported schema version: ${version}`)
+    }
+    while (version < schemaVersion) {
+        doc = migrations[version](doc)
+        version++
+    }
+    return doc
+}
+
+/**
+ * Return the result of applying `f` to every node in the doc JSON, depth first,
+ * so `f` sees each node with its content already mapped.
+ * @ignore
+ */
+export function mapNodes(node, f) {
+    const content = node.content?.map(child => mapNodes(child, f))
+    return f(content ? {...node, content: content} : node)
+}
@@ -0,0 +1,115 @@
+import {Plugin} from "prosemirror-state"
+
+/**
+ * Return the href for `text` if it looks like a URL or email address whose protocol is in
+ * `protocols`, else null. Text starting with "www." uses "https", and an email address
+ * uses "mailto", so they are only linked if those protocols are allowed.
+ *
+ * @ignore
+ * @param {string}    text        Text that holds no whitespace.
+ * @param {string[]}  protocols   The protocols that can be linked, such as "https" or "mailto".
+ * @returns {string | null}
+ */
+export function autolinkHref(text, protocols) {
+  const allowed = (protocol) => protocols.includes(protocol.toLowerCase())
+  const url = /^([a-z][a-z\d+.-]*):\/\/[^\s<>"]+\.[^\s<>"]+$/i.exec(text)
+  if (url) return allowed(url[1]) ? text : null
+  if (/^www\.[^\s<>"]+\.[^\s<>"]+$/i.test(text)) return allowed('https') ? 'https://' + text : null
+  const email = /^(mailto:)?([^\s@<>()"]+@[^\s@<>()"]+\.[a-z]{2,})$/i.exec(text)
+  if (email) return allowed('mailto') ? 'mailto:' + email[2] : null
+  return null
+}
+
+/**
+ * Return `word` without any trailing punctuation, which ends the sentence rather than
+ * the URL. A closing parenthesis is kept if it balances an opening one in the URL.
+ */
+function trimPunctuation(word) {
+  let end = word.length
+  while (end > 0) {
+    const char = word[end - 1]
+    if (/[.,;:!?'"\]]/.test(char)) {
+      end--
+    } else if ((char === ')') && (word.slice(0, end).split('(').length < word.slice(0, end).split(')').length)) {
+      end--
+    } else {
+      break
+    }
+  }
+  return word.slice(0, end)
+}
+
+/**
+ * Return a transaction that links the URL-like word ending at `pos`, or null if there
+ * is none. Nothing is linked in code or in text that is already linked.
+ */
+function linkWordBefore(state, pos, protocols) {
+  const linkType = state.schema.marks.link
+  const codeType = state.schema.marks.code
+  const $pos = state.doc.resolve(pos)
+  if (!$pos.parent.inlineContent || $pos.parent.type.spec.code) return null
+  const textBefore = $pos.parent.textBetween(0, $pos.parentOffset, null, '\ufffc')
+  const word = /[^\s\ufffc]+$/.exec(textBefore)?.[0]
+  if (!word) return null
+  const text = trimPunctuation(word)
+  const href = text && autolinkHref(text, protocols)
+  if (!href) return null
+  const from = pos - word.length
+  const to = from + text.length
+  if (state.doc.rangeHasMark(from, to, linkType) || (codeType && state.doc.rangeHasMark(from, to, codeType))) return null
+  return state.tr.addMark(from, to, linkType.create({href}))
+}
+
+/**
+ * Return a transaction that pastes the URL in `slice` as a link, or null if `slice` is
+ * not a URL by itself. Pasting over a text selection links the selection, keeping its text.
+ */
+function pasteLink(state, slice, protocols) {
+  const linkType = state.schema.marks.link
+  const text = slice.content.textBetween(0, slice.content.size, '\n', '\ufffc').trim()
+  const href = (text && !/\s/.test(text)) ? autolinkHref(text, protocols) : null
+  if (!href) return null
+  const {$from, $to, from, to, empty} = state.selection
+  if (!$from.parent.inlineContent || !$from.sameParent($to)) return null
+  if ($from.marks().some(mark => mark.type.spec.code)) return null
+  const link = linkType.create({href})
+  if (!empty) return state.tr.addMark(from, to, link)
+  return state.tr.replaceSelectionWith(state.schema.text(text, link.addToSet($from.marks())), false)
+}
+
+/**
+ * Return a Plugin that turns URL-like and email-like text into links as it's typed, when
+ * the whitespace or Enter that ends it is typed. Pasting a URL by itself inserts it as a
+ * link, or links the text selection it's pasted over rather than replacing it.
+ *
+ * @ignore
+ * @param {Object} autolink   The `autolink` from the BehaviorConfig, holding the `protocols` that can be linked.
+ * @returns {Plugin}
+ */
+export function autolinkPlugin(autolink) {
+  const protocols = (autolink.protocols ?? []).map(protocol => protocol.toLowerCase())
+  return new Plugin({
+    props: {
+      handleTextInput(view, from, to, text) {
+        if (!/^\s+$/.test(text)) return false
+        const tr = linkWordBefore(view.state, from, protocols)
+        if (!tr) return false
+        view.dispatch(tr.insertText(text, from, to))
+        return true
+      },
+      // Link before the keymap handles Enter, which it then does as usual
+      handleKeyDown(view, event) {
+        if ((event.key !== 'Enter') || !view.state.selection.empty) return false
+        const tr = linkWordBefore(view.state, view.state.selection.from, protocols)
+        if (tr) view.dispatch(tr)
+        return false
+      },
+      handlePaste(view, event, slice) {
+        const tr = pasteLink(view.state, slice, protocols)
+        if (!tr) return false
+        view.dispatch(tr.scrollIntoView())
+        return true
+      }
+    }
+  })
+}
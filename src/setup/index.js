@@ -6,13 +6,16 @@ import {dropCursor} from "prosemirror-dropcursor"
 import {gapCursor} from "prosemirror-gapcursor"
 import {Decoration, DecorationSet} from "prosemirror-view"
 import {search} from "prosemirror-search"
-import {buildMenuItems} from "./menu"
+import {columnResizing} from "prosemirror-tables"
+import {buildMenuItems, buildSlashCommands} from "./menu"
 import {buildKeymap} from "./keymap"
 import {toolbar, toolbarView} from "./toolbar"
 import {buildInputRules} from "./inputrules"
+import {autolinkPlugin} from "./autolink.js"
+import {slashMenuPlugin} from "./slashmenu.js"
 import {setPrefix} from "../domaccess.js"
 import {LinkItem, ImageItem, SearchItem} from "./menuitems.js"
-import {postMessage, searchIsActive, codeBlockAtSelection} from "../markup"
+import {postMessage, searchIsActive, codeBlockAtSelection, cellMinWidth, defaultCellMinWidth} from "../markup"
 import {activeConfig, selectedID} from "../registry.js"
 import {highlightSpans, isRecognizedLanguage} from "../highlighting.js"
 
@@ -234,6 +237,59 @@ const imagePlugin = new Plugin({
   }
 })
 
+/**
+ * The figurePlugin removes a figure when its image is deleted, so that the caption
+ * is never left behind on its own.
+ * 
+ * @ignore
+ */
+const figurePlugin = new Plugin({
+  appendTransaction(transactions, oldState, newState) {
+    if (!transactions.some(tr => tr.docChanged)) return null
+    const figureImage = newState.schema.nodes.figure_image
+    let emptyFigures = []
+    newState.doc.descendants((node, pos) => {
+      if (node.type == figureImage) {
+        if (node.childCount == 0) emptyFigures.push(pos - 1)
+        return false
+      }
+      return node.isBlock
+    })
+    if (emptyFigures.length == 0) return null
+    const transaction = newState.tr
+    // Delete from the end so the earlier positions remain valid
+    for (const pos of emptyFigures.reverse()) {
+      transaction.delete(pos, pos + newState.doc.nodeAt(pos).nodeSize)
+    }
+    return transaction
+  }
+})
+
+/**
+ * The captionedTablePlugin removes a captioned_table when its table is deleted, so that 
+ * the caption is never left behind on its own.
+ * 
+ * @ignore
+ */
+const captionedTablePlugin = new Plugin({
+  appendTransaction(transactions, oldState, newState) {
+    if (!transactions.some(tr => tr.docChanged)) return null
+    const captionedTable = newState.schema.nodes.captioned_table
+    let emptyTables = []
+    newState.doc.descendants((node, pos) => {
+      if ((node.type == captionedTable) && (node.childCount < 2)) emptyTables.push(pos)
+      return node.isBlock
+    })
+    if (emptyTables.length == 0) return null
+    const transaction = newState.tr
+    // Delete from the end so the earlier positions remain valid
+    for (const pos of emptyTables.reverse()) {
+      transaction.delete(pos, pos + newState.doc.nodeAt(pos).nodeSize)
+    }
+    return transaction
+  }
+})
+
 /**
  * Insert an array of MenuItems or a single MenuItem at the front of the toolbar.
  * 
@@ -292,13 +348,26 @@ export function openImageDialog() {
  */
 export function markupSetup(config, schema) {
   setPrefix('Markup')
-  let plugins = [
-    buildInputRules(schema),
+  let plugins = [buildInputRules(schema, config)]
+
+  // Add the plugin that links URLs as they are typed or pasted, if enabled in behavior config. 
+  // It precedes the keymaps so it can link the URL before Enter is handled.
+  if (config.behavior.autolink) {
+    plugins.push(autolinkPlugin(config.behavior.autolink))
+  }
+
+  // Add the plugin that shows the slash command menu, if enabled in behavior config. It 
+  // precedes the keymaps so it can use Enter, Tab, and the arrow keys while it's open.
+  if (config.behavior.slashMenu) {
+    plugins.push(slashMenuPlugin(buildSlashCommands(config, schema)))
+  }
+
+  plugins.push(
     keymap(buildKeymap(config, schema)),
     keymap(baseKeymap),
     dropCursor(),
     gapCursor(),
-  ]
+  )
 
   // Always build the toolbar, but only show it if the config indicates it is visible
   let content = buildMenuItems(config, schema)
@@ -309,6 +378,10 @@ export function markupSetup(config, schema) {
   // Add the plugin that handles table borders
   plugins.push(tablePlugin);
 
+  // Add the plugin that resizes table columns by dragging their edges. The TableView that 
+  // shows the widths is one of the MarkupEditor's nodeViews, so the plugin doesn't set one.
+  plugins.push(columnResizing({View: null, cellMinWidth, defaultCellMinWidth}));
+
   // Add the plugins that highlight code blocks and show the selected block's
   // language tab, if enabled in behavior config
   if (config.behavior.highlightCode) {
@@ -337,6 +410,12 @@ export function markupSetup(config, schema) {
   // Add the plugin to handle notifying the Swift side of images loading
   plugins.push(imagePlugin)
 
+  // Add the plugin that removes a figure when its image is deleted
+  plugins.push(figurePlugin)
+
+  // Add the plugin that removes a captioned table when its table is deleted
+  plugins.push(captionedTablePlugin)
+
   // Add the plugins that performs search, decorates matches, and indicates searchmode
   plugins.push(search())
   //TODO: Is this plugin needed when used with Swift. It is not for the browser.
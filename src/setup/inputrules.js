@@ -1,5 +1,7 @@
 /* eslint no-cond-assign: 0 */
-import {inputRules, wrappingInputRule, textblockTypeInputRule} from "prosemirror-inputrules"
+import {InputRule, inputRules, wrappingInputRule, textblockTypeInputRule, smartQuotes, ellipsis} from "prosemirror-inputrules"
+import {findWrapping, canJoin} from "prosemirror-transform"
+import {isCalloutKind} from "../schema/index.js"
 
 // : (NodeType) → InputRule
 // Given a blockquote node type, returns an input rule that turns `"> "`
@@ -24,6 +26,36 @@ export function bulletListRule(nodeType) {
   return wrappingInputRule(/^\s*([-+*])\s$/, nodeType)
 }
 
+// : (NodeType, NodeType) → InputRule
+// Given a task list node type and its item type, returns an input rule
+// that turns `[ ] ` or `[x] ` at the start of a textblock into a task
+// list whose item is unchecked or checked, respectively. The checked
+// state belongs to the item, not the list, which is why we can't just
+// use a wrappingInputRule.
+export function taskListRule(nodeType, itemType) {
+  return new InputRule(/^\s*\[([ xX])\]\s$/, (state, match, start, end) => {
+    let checked = match[1] !== ' '
+    let tr = state.tr.delete(start, end)
+    let $start = tr.doc.resolve(start), range = $start.blockRange()
+    let wrapping = range && findWrapping(range, nodeType)
+    if (!wrapping) return null
+    wrapping = wrapping.map(wrapper => (wrapper.type == itemType) ? {type: itemType, attrs: {checked}} : wrapper)
+    tr.wrap(range, wrapping)
+    let before = tr.doc.resolve(start - 1).nodeBefore
+    if (before && before.type == nodeType && canJoin(tr.doc, start - 1)) tr.join(start - 1)
+    return tr
+  })
+}
+
+// : (NodeType, [string]) → InputRule
+// Given a callout node type and the kinds of callout, returns an input rule
+// that turns `!!! kind ` (e.g., `!!! warning `) at the start of a textblock
+// into a callout of that kind. The kinds are restricted to what a class can
+// hold, so they need no escaping in the RegExp.
+export function calloutRule(nodeType, kinds) {
+  return wrappingInputRule(new RegExp("^\\s*!!!\\s?(" + kinds.join("|") + ")\\s$"), nodeType, match => ({kind: match[1]}))
+}
+
 // : (NodeType) → InputRule
 // Given a code block node type, returns an input rule that turns a
 // textblock starting with three backticks into a code block.
@@ -41,14 +73,111 @@ export function headingRule(nodeType, maxLevel) {
                                 nodeType, match => ({level: match[1].length}))
 }
 
-// : (Schema) → Plugin
-// A set of input rules for creating the basic block quotes, lists,
-// code blocks, and heading.
-export function buildInputRules(schema) {
+// : (RegExp, MarkType, ?(match) → ?Object) → InputRule
+// Given a pattern and a mark type, returns an input rule that replaces the
+// Markdown-style text that closes with the typed character with the marked
+// text, dropping the delimiters. The pattern's first group holds the whole
+// delimited text, after anything that precedes it in the match, and its
+// second group holds the text to mark. The mark isn't kept for what is typed
+// next. The rules don't fire in code, so the text there stays literal.
+export function markRule(regexp, markType, getAttrs) {
+  return new InputRule(regexp, (state, match, start, end) => {
+    let from = start + match[0].length - match[1].length
+    let mark = markType.create(getAttrs ? getAttrs(match) : null)
+    let marks = mark.addToSet(state.doc.resolve(from).marks())
+    return state.tr
+      .replaceWith(from, end, state.schema.text(match[2], marks))
+      .removeStoredMark(markType)
+  }, {inCodeMark: false})
+}
+
+// : (NodeType) → InputRule
+// Given an image node type, returns an input rule that turns `![alt](src)`
+// into an image.
+export function imageRule(nodeType) {
+  return new InputRule(/(!\[([^\]]*)\]\(([^)\s]+)\))$/, (state, match, start, end) => {
+    let from = start + match[0].length - match[1].length
+    return state.tr.replaceWith(from, end, nodeType.create({src: match[3], alt: match[2] || null}))
+  }, {inCodeMark: false})
+}
+
+// : (Schema, Object) → [InputRule]
+// Return the Markdown-style input rules for marks, links, and images that are
+// enabled in the `inputRules` of the behavior `config`. Bold is ahead of
+// italic so `**` isn't taken as an empty italic, and image is ahead of link
+// so `![alt](src)` isn't taken as a link.
+export function inlineInputRules(schema, config) {
   let rules = [], type
+  let enabled = config?.behavior?.inputRules ?? {}
+  if (enabled.bold && (type = schema.marks.strong)) {
+    rules.push(markRule(/(?:^|[^*\w])(\*\*([^*\s](?:[^*]*[^*\s])?)\*\*)$/, type))
+    rules.push(markRule(/(?:^|[^_\w])(__([^_\s](?:[^_]*[^_\s])?)__)$/, type))
+  }
+  if (enabled.italic && (type = schema.marks.em)) {
+    rules.push(markRule(/(?:^|[^*\w])(\*([^*\s](?:[^*]*[^*\s])?)\*)$/, type))
+    rules.push(markRule(/(?:^|[^_\w])(_([^_\s](?:[^_]*[^_\s])?)_)$/, type))
+  }
+  if (enabled.code && (type = schema.marks.code)) {
+    rules.push(markRule(/(?:^|[^`])(`([^`]+)`)$/, type))
+  }
+  if (enabled.strikethrough && (type = schema.marks.s)) {
+    rules.push(markRule(/(?:^|[^~])(~~([^~\s](?:[^~]*[^~\s])?)~~)$/, type))
+  }
+  if (enabled.image && (type = schema.nodes.image)) {
+    rules.push(imageRule(type))
+  }
+  if (enabled.link && (type = schema.marks.link)) {
+    // The title may be in curly quotes when smart typography is on
+    rules.push(markRule(/(?:^|[^!])(\[([^\]]+)\]\(([^)\s]+)(?:\s+["“]([^"”]*)["”])?\))$/, type,
+      match => ({href: match[3], title: match[4] ?? null})))
+  }
+  return rules
+}
+
+// : InputRule
+// Converts `---` to an em dash. The first two dashes are usually already an
+// en dash by the time the third is typed.
+export const emDash = new InputRule(/(?:\u2013|--)-$/, "\u2014", {inCodeMark: false})
+
+// : InputRule
+// Converts `--` to an en dash.
+export const enDash = new InputRule(/--$/, "\u2013", {inCodeMark: false})
+
+// : InputRule
+// Converts `(c)` to a copyright sign.
+export const copyright = new InputRule(/\([cC]\)$/, "\u00A9", {inCodeMark: false})
+
+const fractions = {"1/2": "\u00BD", "1/4": "\u00BC", "3/4": "\u00BE"}
+
+// : InputRule
+// Converts `1/2`, `1/4`, and `3/4` to their fraction characters once the
+// character after them is typed, so `1/25` and `11/2` are left alone.
+export const fraction = new InputRule(/(?:^|[^\d/])(1\/2|1\/4|3\/4)([^\d/])$/, (state, match, start, end) => {
+  let from = start + match[0].length - match[1].length - match[2].length
+  return state.tr.insertText(fractions[match[1]] + match[2], from, end)
+}, {inCodeMark: false})
+
+// : (Object) → [InputRule]
+// Return the input rules for curly quotes, dashes, ellipsis, copyright, and
+// fractions if `smartTypography` is set in the behavior `config`. Like the other
+// input rules, they don't fire in a code block or code.
+export function typographyInputRules(config) {
+  if (!config?.behavior?.smartTypography) return []
+  return smartQuotes.concat(emDash, enDash, ellipsis, copyright, fraction)
+}
+
+// : (Schema, Object) → Plugin
+// A set of input rules for creating the basic block quotes, lists,
+// code blocks, and heading, the callouts whose kinds are in `config`,
+// the marks, links, and images enabled in its behavior, and smart typography.
+export function buildInputRules(schema, config) {
+  let rules = inlineInputRules(schema, config).concat(typographyInputRules(config)), type
+  let calloutKinds = Object.keys(config?.toolbar?.calloutMenu ?? {}).filter(isCalloutKind)
   if (type = schema.nodes.blockquote) rules.push(blockQuoteRule(type))
+  if ((type = schema.nodes.callout) && calloutKinds.length > 0) rules.push(calloutRule(type, calloutKinds))
   if (type = schema.nodes.ordered_list) rules.push(orderedListRule(type))
   if (type = schema.nodes.bullet_list) rules.push(bulletListRule(type))
+  if (type = schema.nodes.task_list) rules.push(taskListRule(type, schema.nodes.task_item))
   if (type = schema.nodes.code_block) rules.push(codeBlockRule(type))
   if (type = schema.nodes.heading) rules.push(headingRule(type, 6))
   return inputRules({rules})
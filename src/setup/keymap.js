@@ -15,6 +15,8 @@ import {
     handleEnter,
     handleShiftEnter,
     setStyleCommand,
+    resizeColumnCommand,
+    moveBlockCommand,
 } from "../markup"
 import { 
     SearchItem, 
@@ -22,6 +24,8 @@ import {
     ImageItem, 
     TableInsertItem 
 } from "./menuitems"
+import { buildPaletteCommands } from "./menu"
+import { CommandPalette } from "./palette.js"
 
 /**
  * Return a map of Commands that will be invoked when key combos are pressed.
@@ -53,8 +57,13 @@ export function buildKeymap(config, schema) {
     // so we don't get a notification until something is put in the paragraph. By chaining 
     // the handleEnter with splitListItem that is bound to Enter here, it always executes, 
     // but splitListItem will also execute, as will anything else beyond it in the chain 
-    // if splitListItem returns false (i.e., it doesn't really split the list).
-    bind("Enter", chainCommands(handleEnter, splitListItem(schema.nodes.list_item)))
+    // if splitListItem returns false (i.e., it doesn't really split the list). A task_item 
+    // is split into a new one that is unchecked.
+    bind("Enter", chainCommands(
+        handleEnter, 
+        splitListItem(schema.nodes.list_item), 
+        splitListItem(schema.nodes.task_item, {checked: false})
+    ))
     // The MarkupEditor handles Shift-Enter as searchBackward when search is active.
     bind("Shift-Enter", handleShiftEnter)
     // The MarkupEditor needs to be notified of state changes on Delete, like Backspace
@@ -78,9 +87,16 @@ export function buildKeymap(config, schema) {
     // List types
     bind(keymap.bullet, wrapInListCommand(schema, schema.nodes.bullet_list))
     bind(keymap.number, wrapInListCommand(schema, schema.nodes.ordered_list))
+    bind(keymap.checklist, wrapInListCommand(schema, schema.nodes.task_list))
     // Denting
     bind(keymap.indent, indentCommand())
     bind(keymap.outdent, outdentCommand())
+    // Moving blocks, list items, and table rows
+    bind(keymap.moveUp, moveBlockCommand('UP'))
+    bind(keymap.moveDown, moveBlockCommand('DOWN'))
+    // Table column width, the keyboard equivalent of dragging the edge of a cell
+    bind(keymap.widenColumn, resizeColumnCommand(20))
+    bind(keymap.narrowColumn, resizeColumnCommand(-20))
     // Insert
     bind(keymap.link, new LinkItem(config).command)
     bind(keymap.image, new ImageItem(config).command)
@@ -95,5 +111,7 @@ export function buildKeymap(config, schema) {
     bind(keymap.h6, setStyleCommand('H6'))
     // Search
     bind(keymap.search, new SearchItem(config).command)
+    // Command palette
+    bind(keymap.palette, new CommandPalette(buildPaletteCommands(config, schema)).command)
     return keys
 }
\ No newline at end of file
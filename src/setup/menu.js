@@ -30,12 +30,31 @@ import {
   undoCommand,
   redoCommand,
   toggleFormatCommand,
+  toggleColorMarkCommand,
+  clearMarkCommand,
+  hasMarkColor,
   wrapInListCommand, 
   addRowCommand, 
   addColCommand, 
   addHeaderCommand, 
   deleteTableAreaCommand,
+  mergeCellsCommand,
+  splitCellCommand,
+  toggleHeaderColumnCommand,
+  tableHasHeaderColumn,
+  toggleTableCaptionCommand,
+  tableHasCaption,
+  sortTableCommand,
+  textToTableCommand,
+  tableToTextCommand,
+  setCellBackgroundCommand,
+  setCellAlignmentCommand,
+  clearCellFormatCommand,
+  getCellFormat,
+  hasCellBackground,
   setBorderCommand,
+  setAlignmentCommand,
+  getAlignment,
   listTypeFor, 
   getListType, 
   isIndented,
@@ -47,8 +66,22 @@ import {
   modifyImageCommand,
   paragraphStyle,
   isHRuleSelected,
-  insertHRuleCommand
+  insertHRuleCommand,
+  insertDetailsCommand,
+  toggleCalloutCommand,
+  toggleDefinitionListCommand,
+  definitionListAtSelection,
+  getCalloutKind,
+  setListStyleCommand,
+  getListAttributes,
+  setStyleCommand,
+  setCodeLanguageCommand,
+  insertTableCommand,
+  moveBlockCommand,
+  resizeColumnCommand
 } from "../markup"
+import { presentCodeLanguages, isRecognizedLanguage } from "../highlighting"
+import { getPlugins } from "../registry"
 import { 
   MenuItem,
   Dropdown,
@@ -57,8 +90,10 @@ import {
   LinkItem,
   ImageItem,
   TableCreateSubmenu,
+  ListStartItem,
   SearchItem,
   cmdItem,
+  swatchItem,
   keyString,
   baseKeyString,
   markActive,
@@ -79,22 +114,26 @@ import {
  */
 export function buildMenuItems(config, schema) {
   let itemGroups = [];
+  let commands = buildCommands(config, schema);
   let ordering = config.toolbar.ordering;
-  let { correctionBar, insertBar, formatBar, styleMenu, styleBar, search } = config.toolbar.visibility;
+  let { correctionBar, insertBar, formatBar, styleMenu, styleBar, alignBar, search } = config.toolbar.visibility;
   if (correctionBar) {
-    itemGroups.push({item: correctionBarItems(config), order: ordering.correctionBar});
+    itemGroups.push({item: correctionBarItems(config, commands), order: ordering.correctionBar});
   }
   if (insertBar) {
-    itemGroups.push({item: insertBarItems(config), order: ordering.insertBar});
+    itemGroups.push({item: insertBarItems(config, commands), order: ordering.insertBar});
   }
   if (styleMenu) {
-    itemGroups.push({item: styleMenuItems(config, schema), order: ordering.styleMenu});
+    itemGroups.push({item: styleMenuItems(config, schema, commands), order: ordering.styleMenu});
   }
   if (styleBar) {
-    itemGroups.push({item: styleBarItems(config, schema), order: ordering.styleBar});
+    itemGroups.push({item: styleBarItems(config, schema, commands), order: ordering.styleBar});
+  }
+  if (alignBar) {
+    itemGroups.push({item: alignBarItems(config, commands), order: ordering.alignBar});
   }
   if (formatBar) {
-    itemGroups.push({item: formatItems(config, schema), order: ordering.formatBar});
+    itemGroups.push({item: formatItems(config, commands), order: ordering.formatBar});
   }
   if (search) {
     itemGroups.push({item: [new SearchItem(config)], order: ordering.search});
@@ -103,33 +142,425 @@ export function buildMenuItems(config, schema) {
   return itemGroups.map((ordered) => ordered.item)
 }
 
-/* Correction Bar (Undo, Redo) */
+/* Commands */
 
-function correctionBarItems(config) {
-  let keymap = config.keymap;
-  let icons = config.toolbar.icons
-  let items = [];
-  items.push(undoItem({ title: 'Undo' + keyString('undo', keymap), icon: icons.undo }));
-  items.push(redoItem({ title: 'Redo' + keyString('redo', keymap), icon: icons.redo }));
-  return items;
+/**
+ * Return the commands that the toolbar, the slash command menu, and the command palette 
+ * are built from, keyed by name in the order they show in the command palette. Commands 
+ * that are only bound to keys, like moving blocks and resizing columns, are never `visible`. 
+ * A command is an object with:
+ * 
+ * - `label`: How it shows in the slash command menu and command palette.
+ * - `command`: The Command it runs.
+ * - `enable`: A function of the state that returns whether it can run, like a MenuItem's. 
+ *   By default, whether `command` can execute.
+ * - `active`: A function of the state that returns whether it's in effect, if it has one.
+ * - `keymap`: The name of the keys bound to it in the KeymapConfig, if any.
+ * - `keywords`: Other words it can be found by.
+ * - `visible`: Whether its item shows in the toolbar per the ToolbarConfig.
+ * - `slash`: Whether it's offered in the slash command menu, when it's also `visible`.
+ * 
+ * The toolbar items that run a command get it and its `enable` and `active` functions 
+ * from here, so a new toolbar item should add its command here to be found in the slash 
+ * command menu and command palette, too. Link, image, and search open the same dialog 
+ * or bar as their toolbar items, so they are always enabled.
+ * 
+ * @param {Object}  config          The MarkupEditor.config.
+ * @param {Schema}  schema          The schema that holds node and mark types.
+ * @returns {Map<string, Object>}   The commands keyed by name.
+ */
+export function buildCommands(config, schema) {
+  let toolbar = config.toolbar
+  let help = toolbar.help
+  let visibility = toolbar.visibility
+  let { tableHeader, tableCaption, tableBorder, tableCellFormat } = toolbar.menus
+  let tableMenu = visibility.insertBar && toolbar.insertBar.tableMenu
+  let palettes = toolbar.palettes ?? {}
+  let always = () => { return true }
+  let commands = new Map()
+  let add = (name, spec) => {
+    let command = spec.command
+    commands.set(name, {
+      enable: (state) => { return command(state) },
+      keywords: [],
+      visible: false,
+      slash: false,
+      ...spec
+    })
+  }
+
+  // Correction
+  add('undo', { label: help.undo, command: undoCommand(), keymap: 'undo', visible: visibility.correctionBar })
+  add('redo', { label: help.redo, command: redoCommand(), keymap: 'redo', visible: visibility.correctionBar })
+
+  // Format
+  let formatBar = visibility.formatBar && toolbar.formatBar
+  let formats = [
+    ['bold', 'B', 'strong'], ['italic', 'I', 'em'], ['underline', 'U', 'u'], ['code', 'CODE', 'code'], 
+    ['strikethrough', 'DEL', 's'], ['subscript', 'SUB', 'sub'], ['superscript', 'SUP', 'sup']
+  ]
+  for (let [name, markName, markTypeName] of formats) {
+    let markType = schema.marks[markTypeName]
+    if (!markType) continue
+    add(name, {
+      label: help[name],
+      command: toggleFormatCommand(markName),
+      active: (state) => { return markActive(state, markType) },
+      keymap: name,
+      keywords: ['format'],
+      visible: formatBar && formatBar[name]
+    })
+  }
+  for (let [name, markType] of [['highlight', schema.marks.highlight], ['color', schema.marks.color]]) {
+    let visible = formatBar && formatBar[name] && !!palettes[name]
+    for (let [colorName, colors] of Object.entries(palettes[name] ?? {})) {
+      add(`${name}.${colorName}`, {
+        label: `${help[name]}: ${colorName}`,
+        command: (state, dispatch, view) => {
+          let color = prefersDark() ? colors.dark : colors.light
+          return toggleColorMarkCommand(markType, color)(state, dispatch, view)
+        },
+        active: (state) => { return hasMarkColor(state, markType, colors.light) || hasMarkColor(state, markType, colors.dark) },
+        colors: colors,
+        keywords: ['format'],
+        visible: visible
+      })
+    }
+    add(`${name}.none`, { label: `${help[name]}: None`, command: clearMarkCommand(markType), keywords: ['format'], visible: visible })
+  }
+
+  // Style
+  let styleMenu = visibility.styleMenu && toolbar.styleMenu
+  let styles = [['p', 'P', 'Paragraph'], ['pre', 'PRE', 'Code block']]
+  for (let level = 1; level <= 6; level++) styles.splice(level, 0, ['h' + level, 'H' + level, 'Heading ' + level])
+  for (let [name, style, label] of styles) {
+    add(name, {
+      label: label,
+      command: setStyleCommand(style),
+      keymap: name,
+      keywords: [toolbar.styleMenu[name] || name, name],
+      visible: !!(styleMenu && styleMenu[name]),
+      slash: true
+    })
+  }
+
+  // Lists and denting
+  let styleBar = visibility.styleBar && toolbar.styleBar
+  let lists = [
+    ['bullet', schema.nodes.bullet_list, ['ul', 'unordered'], 'list'], 
+    ['number', schema.nodes.ordered_list, ['ol', 'ordered'], 'list'], 
+    ['checklist', schema.nodes.task_list, ['task', 'todo'], 'checklist']
+  ]
+  for (let [name, nodeType, keywords, bar] of lists) {
+    add(name, {
+      label: help[name],
+      command: wrapInListCommand(schema, nodeType),
+      active: (state) => { return listActive(state, nodeType) },
+      keymap: name,
+      keywords: keywords,
+      visible: styleBar && styleBar[bar],
+      slash: true
+    })
+  }
+  for (let labels of Object.values(listStyleLabels)) {
+    for (let [listStyle, label] of Object.entries(labels)) {
+      add(`listStyle.${listStyle}`, {
+        label: `${help.listProperties}: ${label}`,
+        command: setListStyleCommand(listStyle),
+        active: (state) => { return getListAttributes(state)?.style === listStyle },
+        keywords: ['list style'],
+        visible: styleBar && styleBar.list && styleBar.listProperties
+      })
+    }
+  }
+  add('listStyle.default', {
+    label: `${help.listProperties}: Default`,
+    command: setListStyleCommand(null),
+    active: (state) => { return getListAttributes(state)?.style === null },
+    keywords: ['list style'],
+    visible: styleBar && styleBar.list && styleBar.listProperties
+  })
+  add('definitionList', {
+    label: help.definitionList,
+    command: toggleDefinitionListCommand(),
+    active: (state) => { return definitionListAtSelection(state) !== null },
+    keymap: 'definitionList',
+    keywords: ['dl', 'glossary'],
+    visible: styleBar && styleBar.definitionList,
+    slash: true
+  })
+  add('indent', { label: help.indent, command: indentCommand(), active: isIndented, keymap: 'indent', keywords: ['blockquote'], visible: styleBar && styleBar.dent })
+  add('outdent', { label: help.outdent, command: outdentCommand(), active: isIndented, keymap: 'outdent', keywords: ['blockquote'], visible: styleBar && styleBar.dent })
+  add('moveUp', { label: 'Move block up', command: moveBlockCommand('UP'), keymap: 'moveUp', keywords: ['list item', 'table row'] })
+  add('moveDown', { label: 'Move block down', command: moveBlockCommand('DOWN'), keymap: 'moveDown', keywords: ['list item', 'table row'] })
+
+  // Alignment
+  let alignBar = visibility.alignBar && toolbar.alignBar
+  for (let [name, align] of [['alignLeft', 'left'], ['alignCenter', 'center'], ['alignRight', 'right'], ['alignJustify', 'justify']]) {
+    add(name, {
+      label: help[name],
+      command: setAlignmentCommand(align),
+      active: (state) => { return getAlignment(state) === align },
+      keywords: ['alignment'],
+      visible: alignBar && alignBar[align]
+    })
+  }
+
+  // Insert
+  let insertBar = visibility.insertBar && toolbar.insertBar
+  add('link', {
+    label: help.link, command: new LinkItem(config).command, enable: always, keymap: 'link', 
+    keywords: ['url', 'anchor'], visible: insertBar && insertBar.link, slash: true
+  })
+  add('image', {
+    label: help.image, command: new ImageItem(config).command, enable: always, keymap: 'image', 
+    keywords: ['picture', 'img'], visible: insertBar && insertBar.image, slash: true
+  })
+  add('table2x2', { label: 'Insert table 2x2', command: insertTableCommand(2, 2), keywords: ['grid'], visible: tableMenu, slash: true })
+  add('table3x3', { label: 'Insert table 3x3', command: insertTableCommand(3, 3), keywords: ['grid'], visible: tableMenu, slash: true })
+  add('hRule', {
+    label: help.hRule, command: insertHRuleCommand(), enable: always, active: isHRuleSelected, keymap: 'hRule', 
+    keywords: ['hr', 'divider', 'line'], visible: insertBar && insertBar.hRule, slash: true
+  })
+  add('details', {
+    label: help.details, command: insertDetailsCommand(), keymap: 'details', 
+    keywords: ['summary', 'toggle'], visible: insertBar && insertBar.details, slash: true
+  })
+  for (let [kind, label] of Object.entries(toolbar.calloutMenu)) {
+    add(`callout.${kind}`, {
+      label: `${help.callout}: ${label}`,
+      command: toggleCalloutCommand(kind),
+      active: (state) => { return getCalloutKind(state) === kind },
+      keywords: ['admonition', kind],
+      visible: insertBar && insertBar.callout,
+      slash: true
+    })
+  }
+
+  // Tables
+  let tableCommands = [
+    ['textToTable', 'Convert text to table', textToTableCommand()],
+    ['addRowBefore', 'Add row above', addRowCommand('BEFORE')],
+    ['addRowAfter', 'Add row below', addRowCommand('AFTER')],
+    ['addColBefore', 'Add column before', addColCommand('BEFORE')],
+    ['addColAfter', 'Add column after', addColCommand('AFTER')],
+    ['deleteRow', 'Delete row', deleteTableAreaCommand('ROW')],
+    ['deleteCol', 'Delete column', deleteTableAreaCommand('COL')],
+    ['deleteTable', 'Delete table', deleteTableAreaCommand('TABLE')],
+    ['tableToText', 'Convert table to text', tableToTextCommand()],
+    ['mergeCells', 'Merge cells', mergeCellsCommand()],
+    ['splitCell', 'Split cell', splitCellCommand()],
+    ['sortAscending', 'Sort table ascending', sortTableCommand(undefined, 'ASC')],
+    ['sortDescending', 'Sort table descending', sortTableCommand(undefined, 'DESC')],
+  ]
+  for (let [name, label, command] of tableCommands) {
+    add(name, { label: label, command: command, keywords: ['table'], visible: tableMenu })
+  }
+  add('addHeader', {
+    label: 'Add header row',
+    command: addHeaderCommand(),
+    enable: (state) => { return isTableSelected(state) && !tableHasHeader(state) },
+    keywords: ['table'],
+    visible: tableMenu && tableHeader
+  })
+  add('headerColumn', {
+    label: 'Toggle header column', command: toggleHeaderColumnCommand(), active: tableHasHeaderColumn, 
+    keywords: ['table'], visible: tableMenu && tableHeader
+  })
+  add('caption', {
+    label: 'Toggle table caption', command: toggleTableCaptionCommand(), active: tableHasCaption, 
+    keywords: ['table'], visible: tableMenu && tableCaption
+  })
+  for (let [colorName, colors] of Object.entries(palettes.cellBackground ?? {})) {
+    add(`cellBackground.${colorName}`, {
+      label: `Cell background: ${colorName}`,
+      command: (state, dispatch, view) => {
+        let color = prefersDark() ? colors.dark : colors.light
+        return setCellBackgroundCommand(color)(state, dispatch, view)
+      },
+      active: (state) => { return hasCellBackground(state, colors.light) || hasCellBackground(state, colors.dark) },
+      colors: colors,
+      keywords: ['table', 'format'],
+      visible: tableMenu && tableCellFormat
+    })
+  }
+  let alignments = [
+    ['left', undefined, 'Align left'],
+    ['center', undefined, 'Align center'],
+    ['right', undefined, 'Align right'],
+    [undefined, 'top', 'Align top'],
+    [undefined, 'middle', 'Align middle'],
+    [undefined, 'bottom', 'Align bottom'],
+  ]
+  for (let [h, v, label] of alignments) {
+    add(`cellAlign.${h ?? v}`, {
+      label: `${label} in cells`,
+      command: setCellAlignmentCommand(h, v),
+      active: (state) => {
+        let format = getCellFormat(state)
+        return (format !== null) && ((h === undefined) || (format.align === h)) && ((v === undefined) || (format.valign === v))
+      },
+      keywords: ['table', 'format'],
+      visible: tableMenu && tableCellFormat
+    })
+  }
+  add('clearCellFormat', { label: 'Clear cell formatting', command: clearCellFormatCommand(), keywords: ['table', 'format'], visible: tableMenu && tableCellFormat })
+  for (let [border, label] of [['cell', 'All'], ['outer', 'Outer'], ['header', 'Header'], ['none', 'None']]) {
+    add(`border.${border}`, {
+      label: `Table border: ${label}`,
+      command: setBorderCommand(border),
+      keywords: ['table'],
+      visible: tableMenu && tableBorder
+    })
+  }
+  add('widenColumn', { label: 'Widen column', command: resizeColumnCommand(20), keymap: 'widenColumn', keywords: ['table', 'width'] })
+  add('narrowColumn', { label: 'Narrow column', command: resizeColumnCommand(-20), keymap: 'narrowColumn', keywords: ['table', 'width'] })
+
+  // Search
+  add('search', { label: help.search, command: new SearchItem(config).command, enable: always, keymap: 'search', keywords: ['find'], visible: visibility.search })
+
+  return commands
 }
 
-function undoItem(options) {
-  let passedOptions = {
-    enable: (state) => undoCommand()(state)
+/* Slash Commands */
+
+/**
+ * Build the function that returns the entries of the slash command menu, which shows when 
+ * `/` is typed at the start of an empty paragraph. The entries are the commands from 
+ * `buildCommands` that are marked `slash`, and only those whose toolbar items are visible 
+ * per `config`. 
+ * 
+ * Each entry is an object with a `label`, `keywords` that it can also be found by, the 
+ * `command` it runs, an `enable` function of the state like a MenuItem's, and the `keymap` 
+ * string to show, if any. Besides the fixed entries, 
+ * tables of any size and code blocks in any recognized language are offered when `query` 
+ * names them (e.g., "table 5x2" or "code python"), and plugins registered with type 
+ * `command` add their own entries. A `command` plugin holds a `run` Command, and can 
+ * specify its `label` (its `name` by default), `keywords`, and `enable` function.
+ * 
+ * @param {Object}  config          The MarkupEditor.config.
+ * @param {Schema}  schema          The schema that holds node and mark types.
+ * @returns {Function(string, EditorState): Array<Object>}  Returns the entries to filter by the `query` typed after the slash.
+ */
+export function buildSlashCommands(config, schema) {
+  let commands = buildCommands(config, schema)
+  let toolbar = config.toolbar
+  let highlightCode = config.behavior.highlightCode
+  let entries = []
+  for (let spec of commands.values()) {
+    if (spec.visible && spec.slash) entries.push(specEntry(spec, config.keymap))
+  }
+  let tables = commands.get('table2x2').visible
+  let codeLabel = commands.get('pre').visible && toolbar.styleMenu.pre
+
+  return (query, state) => {
+    let found = []
+    let add = (label, command, keywords) => { found.push(commandEntry(label, command, { keywords })) }
+    let words = query.trim().toLowerCase().split(/\s+/)
+    let size = tables && /^table\s*(\d+)\s*x\s*(\d+)$/.exec(words.join(' '))
+    if (size) {
+      let [rows, cols] = [+size[1], +size[2]]
+      let label = `Insert table ${rows}x${cols}`
+      let fixed = entries.some(entry => entry.label === label)
+      if (!fixed && (rows > 0) && (cols > 0) && (rows <= 20) && (cols <= 20)) add(label, insertTableCommand(rows, cols), ['grid'])
+    }
+    if (codeLabel && highlightCode) {
+      let languages = presentCodeLanguages(state.doc)
+      let named = ((words[0] === 'code') || (words[0] === codeLabel.toLowerCase())) && words[1]
+      if (named && !languages.includes(named) && isRecognizedLanguage(named)) languages.push(named)
+      for (let language of languages) add(`${codeLabel} (${language})`, setCodeLanguageCommand(language), ['code block', 'pre'])
+    }
+    return entries.concat(found, pluginEntries('command'))
   }
-  for (let prop in options)
-    passedOptions[prop] = options[prop];
-  return cmdItem(undoCommand(), passedOptions)
 }
 
-function redoItem(options) {
-  let passedOptions = {
-    enable: (state) => redoCommand()(state)
+/* Command Palette */
+
+/**
+ * Build the function that returns the entries of the command palette, which lists every 
+ * command from `buildCommands`, whether or not it shows in the toolbar, followed by an 
+ * entry for each registered plugin that has a `run` function.
+ * 
+ * Each entry has the same properties as the entries from `buildSlashCommands`, with the 
+ * `keymap` string from the KeymapConfig as it shows in the toolbar. Like a MenuItem, an 
+ * entry is disabled when its `enable` function returns false for the state. Plugins of 
+ * type `command` run like the other commands, and other plugins' `run` is invoked without 
+ * arguments, the same as `runPlugin`.
+ * 
+ * @param {Object}  config          The MarkupEditor.config.
+ * @param {Schema}  schema          The schema that holds node and mark types.
+ * @returns {Function(): Array<Object>}  Returns the entries, including the plugins registered when called.
+ */
+export function buildPaletteCommands(config, schema) {
+  let entries = []
+  for (let spec of buildCommands(config, schema).values()) entries.push(specEntry(spec, config.keymap))
+  return () => { return entries.concat(pluginEntries()) }
+}
+
+/**
+ * Return an entry that runs `command` in a list of commands, like the slash command menu. 
+ * Unless `enable` is passed, the entry is enabled when `command` can execute.
+ */
+function commandEntry(label, command, { keywords = [], keymap = '', enable } = {}) {
+  return { label, command, keywords, keymap, enable: enable ?? ((state) => { return command(state) }) }
+}
+
+/**
+ * Return the entries for the registered plugins of `type`, or of any type if not specified, 
+ * that have a `run` function. The `run` of a `command` plugin is a Command, while for other 
+ * types it is invoked without arguments, the same as `runPlugin`.
+ */
+function pluginEntries(type) {
+  let entries = []
+  for (let plugin of getPlugins(type)) {
+    if (typeof plugin.run !== 'function') continue
+    let command = (plugin.type === 'command') ? plugin.run : (state, dispatch) => {
+      if (dispatch) plugin.run()
+      return true
+    }
+    let keywords = plugin.keywords ?? [plugin.type]
+    entries.push(commandEntry(plugin.label ?? plugin.name, command, { keywords, enable: plugin.enable ?? (() => { return true }) }))
   }
-  for (let prop in options)
-    passedOptions[prop] = options[prop];
-  return cmdItem(redoCommand(), passedOptions)
+  return entries
+}
+
+/**
+ * Return the entry for the command `spec` from `buildCommands`, with the string for its 
+ * keys in `keymap`.
+ */
+function specEntry(spec, keymap) {
+  return commandEntry(spec.label, spec.command, { keywords: spec.keywords, keymap: baseKeyString(spec.keymap, keymap), enable: spec.enable })
+}
+
+/**
+ * Return the `[name, spec]` pairs of the commands in `group`, whose names in `commands` 
+ * are prefixed by the group and a period, like "callout.note", with the prefix removed.
+ */
+function commandsIn(commands, group) {
+  let prefix = group + '.'
+  return [...commands].filter(([name]) => name.startsWith(prefix)).map(([name, spec]) => [name.slice(prefix.length), spec])
+}
+
+/**
+ * Return a MenuItem that runs the command `spec` from `buildCommands`, enabled and active 
+ * the same as it is everywhere else, with the other MenuItem `options`.
+ */
+function commandItem(spec, options) {
+  let passedOptions = { enable: spec.enable }
+  if (spec.active) passedOptions.active = spec.active
+  for (let prop in options) passedOptions[prop] = options[prop]
+  return cmdItem(spec.command, passedOptions)
+}
+
+/* Correction Bar (Undo, Redo) */
+
+function correctionBarItems(config, commands) {
+  let keymap = config.keymap;
+  let icons = config.toolbar.icons
+  let items = [];
+  items.push(commandItem(commands.get('undo'), { title: 'Undo' + keyString('undo', keymap), icon: icons.undo }));
+  items.push(commandItem(commands.get('redo'), { title: 'Redo' + keyString('redo', keymap), icon: icons.redo }));
+  return items;
 }
 
 /* Insert Bar (Link, Image, Table) */
@@ -137,11 +568,12 @@ function redoItem(options) {
 /**
  * Return the MenuItems for the style bar, as specified in `config`.
  * @param {Object} config The config object with booleans indicating whether list and denting items are included
+ * @param {Map} commands  The commands from `buildCommands`
  * @returns {[MenuItem]}  An array or MenuItems to be shown in the style bar
  */
-function insertBarItems(config) {
+function insertBarItems(config, commands) {
   let items = [];
-  let { link, image, tableMenu, hRule } = config.toolbar.insertBar;
+  let { link, image, tableMenu, hRule, details, callout } = config.toolbar.insertBar;
   if (link) {
     items.push(new LinkItem(config))
   }
@@ -149,40 +581,50 @@ function insertBarItems(config) {
     let imageCommands = {getImageAttributes, insertImageCommand, modifyImageCommand, getSelectionRect}
     items.push(new ImageItem(config, imageCommands))
   }
-  if (tableMenu) items.push(tableMenuItems(config))
-  if (hRule) items.push(hRuleItem(config))
+  if (tableMenu) items.push(tableMenuItems(config, commands))
+  if (hRule) items.push(hRuleItem(config, commands))
+  if (details) items.push(detailsItem(config, commands))
+  if (callout) items.push(calloutMenuItems(config, commands))
   return items;
 }
 
-function hRuleItem(config) {
+function hRuleItem(config, commands) {
   let icon = config.toolbar.icons.hRule
   let title = config.toolbar.help.hRule + keyString('hRule', config.keymap)
-  let options = {
-    icon: icon,
-    title: title,
-    active: (state) => { return isHRuleSelected(state) },
-    enable: () => { return true }  // TODO: should be conditional?
+  return commandItem(commands.get('hRule'), { icon: icon, title: title })
+}
+
+function detailsItem(config, commands) {
+  let icon = config.toolbar.icons.details
+  let title = config.toolbar.help.details + keyString('details', config.keymap)
+  return commandItem(commands.get('details'), { icon: icon, title: title })
+}
+
+/**
+ * Return a Dropdown with an item for each kind of callout in the `calloutMenu` of `config`. 
+ * Each item toggles a callout of its kind, so the active one removes the callout.
+ */
+function calloutMenuItems(config, commands) {
+  let items = []
+  for (let [kind, spec] of commandsIn(commands, 'callout')) {
+    items.push(commandItem(spec, { label: config.toolbar.calloutMenu[kind] }))
   }
-  return cmdItem(insertHRuleCommand(), options)
+  return new Dropdown(items, { title: config.toolbar.help.callout, icon: config.toolbar.icons.callout })
 }
 
-function tableMenuItems(config) {
+function tableMenuItems(config, commands) {
   let icons = config.toolbar.icons
   let help = config.toolbar.help
   let items = []
-  let { tableHeader, tableBorder } = config.toolbar.menus;
+  let { tableHeader, tableCaption, tableBorder, tableCellFormat } = config.toolbar.menus;
   items.push(new TableCreateSubmenu({title: 'Insert table', label: 'Insert'}))
+  items.push(tableEditItem(commands.get('textToTable'), {label: 'Convert text to table'}))
   let addItems = []
-  addItems.push(tableEditItem(addRowCommand('BEFORE'), {label: 'Row above'}))
-  addItems.push(tableEditItem(addRowCommand('AFTER'), {label: 'Row below'}))
-  addItems.push(tableEditItem(addColCommand('BEFORE'), {label: 'Column before'}))
-  addItems.push(tableEditItem(addColCommand('AFTER'), {label: 'Column after'}))
-  if (tableHeader) addItems.push(
-    tableEditItem(
-      addHeaderCommand(), {
-        label: 'Header',
-        enable: (state) => { return isTableSelected(state) && !tableHasHeader(state) },
-      }))
+  addItems.push(tableEditItem(commands.get('addRowBefore'), {label: 'Row above'}))
+  addItems.push(tableEditItem(commands.get('addRowAfter'), {label: 'Row below'}))
+  addItems.push(tableEditItem(commands.get('addColBefore'), {label: 'Column before'}))
+  addItems.push(tableEditItem(commands.get('addColAfter'), {label: 'Column after'}))
+  if (tableHeader) addItems.push(tableEditItem(commands.get('addHeader'), {label: 'Header'}))
   items.push(new DropdownSubmenu(
     addItems, {
       title: 'Add row/column', 
@@ -190,21 +632,29 @@ function tableMenuItems(config) {
       enable: (state) => { return isTableSelected(state) }
     }))
   let deleteItems = []
-  deleteItems.push(tableEditItem(deleteTableAreaCommand('ROW'), {label: 'Row'}))
-  deleteItems.push(tableEditItem(deleteTableAreaCommand('COL'), {label: 'Column'}))
-  deleteItems.push(tableEditItem(deleteTableAreaCommand('TABLE'), {label: 'Table'}))
+  deleteItems.push(tableEditItem(commands.get('deleteRow'), {label: 'Row'}))
+  deleteItems.push(tableEditItem(commands.get('deleteCol'), {label: 'Column'}))
+  deleteItems.push(tableEditItem(commands.get('deleteTable'), {label: 'Table'}))
   items.push(new DropdownSubmenu(
     deleteItems, {
       title: 'Delete row/column', 
       label: 'Delete',
       enable: (state) => { return isTableSelected(state) }
     }))
+  items.push(tableEditItem(commands.get('tableToText'), {label: 'Convert table to text'}))
+  items.push(tableEditItem(commands.get('mergeCells'), {label: 'Merge cells'}))
+  items.push(tableEditItem(commands.get('splitCell'), {label: 'Split cell'}))
+  items.push(tableEditItem(commands.get('sortAscending'), {label: 'Sort ascending'}))
+  items.push(tableEditItem(commands.get('sortDescending'), {label: 'Sort descending'}))
+  if (tableHeader) items.push(tableEditItem(commands.get('headerColumn'), {label: 'Header column'}))
+  if (tableCaption) items.push(tableEditItem(commands.get('caption'), {label: 'Caption'}))
+  if (tableCellFormat) items.push(cellFormatSubmenu(commands))
   if (tableBorder) {
+    let borderLabels = { cell: 'All', outer: 'Outer', header: 'Header', none: 'None' }
     let borderItems = []
-    borderItems.push(tableBorderItem(setBorderCommand('cell'), {label: 'All'}))
-    borderItems.push(tableBorderItem(setBorderCommand('outer'), {label: 'Outer'}))
-    borderItems.push(tableBorderItem(setBorderCommand('header'), {label: 'Header'}))
-    borderItems.push(tableBorderItem(setBorderCommand('none'), {label: 'None'}))
+    for (let [border, spec] of commandsIn(commands, 'border')) {
+      borderItems.push(tableEditItem(spec, {label: borderLabels[border]}))
+    }
     items.push(new DropdownSubmenu(
       borderItems, {
         title: 'Set border', 
@@ -215,72 +665,128 @@ function tableMenuItems(config) {
   return new Dropdown(items, { title: help.table, icon: icons.table })
 }
 
-function tableEditItem(command, options) {
-  let passedOptions = {
-    run: command,
-    enable(state) { return command(state); },
-    active() { return false }  // FIX
-  };
-  for (let prop in options)
-    passedOptions[prop] = options[prop];
-  return new MenuItem(passedOptions);
+/**
+ * Return a DropdownSubmenu that formats the selected cells, with a swatch for each of the
+ * colors in the `cellBackground` palette, items for horizontal and vertical alignment, and 
+ * an item to clear the formatting.
+ */
+function cellFormatSubmenu(commands) {
+  let items = []
+  for (let [name, spec] of commandsIn(commands, 'cellBackground')) {
+    items.push(swatchItem(spec.command, spec.colors, {
+      label: name,
+      active: spec.active,
+      enable: spec.enable
+    }))
+  }
+  let alignLabels = {
+    left: 'Align left', center: 'Align center', right: 'Align right', 
+    top: 'Align top', middle: 'Align middle', bottom: 'Align bottom'
+  }
+  for (let [align, spec] of commandsIn(commands, 'cellAlign')) {
+    items.push(tableEditItem(spec, {label: alignLabels[align]}))
+  }
+  items.push(tableEditItem(commands.get('clearCellFormat'), {label: 'Clear formatting'}))
+  return new DropdownSubmenu(
+    items, {
+      title: 'Format cells', 
+      label: 'Format',
+      enable: (state) => { return isTableSelected(state) }
+    })
 }
 
-function tableBorderItem(command, options) {
+function tableEditItem(spec, options) {
   let passedOptions = {
-    run: command,
-    enable(state) { return command(state); },
-    active() { return false }  // FIX
+    run: spec.command,
+    enable: spec.enable,
+    active: spec.active ?? (() => { return false })
   };
   for (let prop in options)
     passedOptions[prop] = options[prop];
   return new MenuItem(passedOptions);
 }
 
-/* Style Bar (List, Indent, Outdent) */
+/* Style Bar (List, Definition List, Indent, Outdent) */
 
 /**
  * Return the MenuItems for the style bar, as specified in `config`.
  * @param {Object} config The config object with booleans indicating whether list and denting items are included
  * @param {Schema} schema 
+ * @param {Map} commands  The commands from `buildCommands`
  * @returns {[MenuItem]}  An array or MenuItems to be shown in the style bar
  */
-function styleBarItems(config, schema) {
+function styleBarItems(config, schema, commands) {
   let keymap = config.keymap
   let icons = config.toolbar.icons
   let help = config.toolbar.help
   let items = []
-  let { list, dent } = config.toolbar.styleBar
+  let { list, listProperties, checklist, definitionList, dent } = config.toolbar.styleBar
   if (list) {
-    let bullet = toggleListItem(
-      schema,
-      schema.nodes.bullet_list,
-      { title: help.bullet + keyString('bullet', keymap), icon: icons.bulletList }
-    )
-    let number = toggleListItem(
-      schema,
-      schema.nodes.ordered_list,
-      { title: help.number + keyString('number', keymap), icon: icons.orderedList }
-    )
+    let bullet = commandItem(commands.get('bullet'), { title: help.bullet + keyString('bullet', keymap), icon: icons.bulletList })
+    let number = commandItem(commands.get('number'), { title: help.number + keyString('number', keymap), icon: icons.orderedList })
     items.push(bullet)
     items.push(number)
+    if (listProperties) {
+      items.push(listPropertiesItems(config, schema, commands))
+    }
+  }
+  if (checklist) {
+    let tasks = commandItem(commands.get('checklist'), { title: help.checklist + keyString('checklist', keymap), icon: icons.taskList })
+    items.push(tasks)
+  }
+  if (definitionList) {
+    items.push(commandItem(commands.get('definitionList'), {
+      title: help.definitionList + keyString('definitionList', keymap),
+      icon: icons.definitionList
+    }))
   }
   if (dent) {
-    let indent = indentItem({ title: help.indent + keyString('indent', keymap), icon: icons.blockquote })
-    let outdent = outdentItem({ title: help.outdent + keyString('outdent', keymap), icon: icons.lift })
+    let indent = commandItem(commands.get('indent'), { title: help.indent + keyString('indent', keymap), icon: icons.blockquote })
+    let outdent = commandItem(commands.get('outdent'), { title: help.outdent + keyString('outdent', keymap), icon: icons.lift })
     items.push(indent)
     items.push(outdent)
   }
   return items;
 }
 
-function toggleListItem(schema, nodeType, options) {
-  let passedOptions = {
-    active: (state) => { return listActive(state, nodeType) },
-    enable: true
+/**
+ * Return a Dropdown to set the start number of an ordered list and the style of the 
+ * numbers or bullets of an ordered or bullet list. The items for each style are only 
+ * shown in the type of list that supports it.
+ */
+function listPropertiesItems(config, schema, commands) {
+  let items = [new ListStartItem({ label: 'Start', title: 'Number of the first item' })]
+  for (let [listType, labels] of Object.entries(listStyleLabels)) {
+    let nodeType = schema.nodes[listType]
+    for (let [listStyle, label] of Object.entries(labels)) {
+      items.push(commandItem(commands.get(`listStyle.${listStyle}`), {
+        label: label,
+        select: (state) => { return listActive(state, nodeType) }
+      }))
+    }
+  }
+  let defaultStyle = commands.get('listStyle.default')
+  items.push(commandItem(defaultStyle, { label: 'Default' }))
+  return new Dropdown(items, {
+    title: config.toolbar.help.listProperties,
+    icon: config.toolbar.icons.listProperties,
+    enable: defaultStyle.enable
+  })
+}
+
+const listStyleLabels = {
+  ordered_list: {
+    'decimal': '1, 2, 3',
+    'lower-alpha': 'a, b, c',
+    'upper-alpha': 'A, B, C',
+    'lower-roman': 'i, ii, iii',
+    'upper-roman': 'I, II, III'
+  },
+  bullet_list: {
+    'disc': 'Disc',
+    'circle': 'Circle',
+    'square': 'Square'
   }
-  for (let prop in options) passedOptions[prop] = options[prop]
-  return cmdItem(wrapInListCommand(schema, nodeType), passedOptions)
 }
 
 function listActive(state, nodeType) {
@@ -288,22 +794,24 @@ function listActive(state, nodeType) {
   return listType === listTypeFor(nodeType, state.schema)
 }
 
-function indentItem(options) {
-  let passedOptions = {
-    active: (state) => { return isIndented(state) },
-    enable: true
-  }
-  for (let prop in options) passedOptions[prop] = options[prop]
-  return cmdItem(indentCommand(), passedOptions)
-}
+/* Align Bar (Left, Center, Right, Justify) */
 
-function outdentItem(options) {
-  let passedOptions = {
-    active: (state) => { return isIndented(state) },
-    enable: true
-  }
-  for (let prop in options) passedOptions[prop] = options[prop]
-  return cmdItem(outdentCommand(), passedOptions)
+/**
+ * Return the MenuItems for the align bar, as specified in `config`.
+ * @param {Object} config The config object with booleans indicating which alignment items are included
+ * @param {Map} commands  The commands from `buildCommands`
+ * @returns {[MenuItem]}  An array or MenuItems to be shown in the align bar
+ */
+function alignBarItems(config, commands) {
+  let icons = config.toolbar.icons
+  let help = config.toolbar.help
+  let items = []
+  let { left, center, right, justify } = config.toolbar.alignBar
+  if (left) items.push(commandItem(commands.get('alignLeft'), { title: help.alignLeft, icon: icons.alignLeft }))
+  if (center) items.push(commandItem(commands.get('alignCenter'), { title: help.alignCenter, icon: icons.alignCenter }))
+  if (right) items.push(commandItem(commands.get('alignRight'), { title: help.alignRight, icon: icons.alignRight }))
+  if (justify) items.push(commandItem(commands.get('alignJustify'), { title: help.alignJustify, icon: icons.alignJustify }))
+  return items;
 }
 
 /* Format Bar (B, I, U, etc) */
@@ -312,31 +820,56 @@ function outdentItem(options) {
  * Return the array of formatting MenuItems that should show per the config.
  * 
  * @param {Object} config   The MarkupEditor.config with boolean values in config.toolbar.formatBar.
+ * @param {Map} commands    The commands from `buildCommands`
  * @returns [MenuItem]      The array of MenuItems that show as passed in `config`
  */
-function formatItems(config, schema) {
+function formatItems(config, commands) {
   let keymap = config.keymap
   let icons = config.toolbar.icons
   let help = config.toolbar.help
   let items = []
-  let { bold, italic, underline, code, strikethrough, subscript, superscript } = config.toolbar.formatBar;
-  if (bold) items.push(formatItem(schema.marks.strong, 'B', { title: help.bold + keyString('bold', keymap), icon: icons.strong }))
-  if (italic) items.push(formatItem(schema.marks.em, 'I', { title: help.italic + keyString('italic', keymap), icon: icons.em }))
-  if (underline) items.push(formatItem(schema.marks.u, 'U', { title: help.underline + keyString('underline', keymap), icon: icons.u }))
-  if (code) items.push(formatItem(schema.marks.code, 'CODE', { title: help.code + keyString('code', keymap), icon: icons.code }))
-  if (strikethrough) items.push(formatItem(schema.marks.s, 'DEL', { title: help.strikethrough + keyString('strikethrough', keymap), icon: icons.s }))
-  if (subscript) items.push(formatItem(schema.marks.sub, 'SUB', { title: help.subscript + keyString('subscript', keymap), icon: icons.sub }))
-  if (superscript) items.push(formatItem(schema.marks.sup, 'SUP', { title: help.superscript + keyString('superscript', keymap), icon: icons.sup }))
+  let { bold, italic, underline, code, strikethrough, subscript, superscript, highlight, color } = config.toolbar.formatBar;
+  if (bold) items.push(commandItem(commands.get('bold'), { title: help.bold + keyString('bold', keymap), icon: icons.strong }))
+  if (italic) items.push(commandItem(commands.get('italic'), { title: help.italic + keyString('italic', keymap), icon: icons.em }))
+  if (underline) items.push(commandItem(commands.get('underline'), { title: help.underline + keyString('underline', keymap), icon: icons.u }))
+  if (code) items.push(commandItem(commands.get('code'), { title: help.code + keyString('code', keymap), icon: icons.code }))
+  if (strikethrough) items.push(commandItem(commands.get('strikethrough'), { title: help.strikethrough + keyString('strikethrough', keymap), icon: icons.s }))
+  if (subscript) items.push(commandItem(commands.get('subscript'), { title: help.subscript + keyString('subscript', keymap), icon: icons.sub }))
+  if (superscript) items.push(commandItem(commands.get('superscript'), { title: help.superscript + keyString('superscript', keymap), icon: icons.sup }))
+  let palettes = config.toolbar.palettes
+  if (highlight && palettes?.highlight) items.push(paletteItem(commands, 'highlight', { title: help.highlight, icon: icons.highlight }))
+  if (color && palettes?.color) items.push(paletteItem(commands, 'color', { title: help.color, icon: icons.textColor }))
   return items;
 }
 
-function formatItem(markType, markName, options) {
-  let passedOptions = {
-    active: (state) => { return markActive(state, markType) },
-    enable: (state) => { return toggleFormatCommand(markName)(state) }
+/**
+ * Return a Dropdown of the commands in the `highlight` or `color` group, each of which 
+ * toggles its mark in the light or dark variant of the color, depending on the current 
+ * color scheme. The "None" item removes the mark.
+ * 
+ * @param {Map}       commands  The commands from `buildCommands`.
+ * @param {string}    group     The "highlight" or "color" group of commands.
+ * @param {Object}    options   The Dropdown options.
+ * @returns {Dropdown}
+ */
+function paletteItem(commands, group, options) {
+  let items = []
+  for (let [name, spec] of commandsIn(commands, group)) {
+    if (name === 'none') {
+      items.push(commandItem(spec, { label: 'None' }))
+    } else {
+      items.push(swatchItem(spec.command, spec.colors, {
+        label: name,
+        active: spec.active,
+        enable: spec.enable
+      }))
+    }
   }
-  for (let prop in options) passedOptions[prop] = options[prop]
-  return cmdItem(toggleFormatCommand(markName), passedOptions)
+  return new Dropdown(items, options)
+}
+
+function prefersDark() {
+  return (typeof window.matchMedia === 'function') && window.matchMedia('(prefers-color-scheme: dark)').matches
 }
 
 /* Style DropDown (P, H1-H6, Code) */
@@ -346,26 +879,31 @@ function formatItem(markType, markName, options) {
  * 
  * @param {Object}  config          The MarkupEditor.config.
  * @param {Schema}  schema          The schema that holds node and mark types.
+ * @param {Map}     commands        The commands from `buildCommands`.
  * @returns [Dropdown]  The array of MenuItems that show as passed in `config`
  */
-function styleMenuItems(config, schema) {
+function styleMenuItems(config, schema, commands) {
   let keymap = config.keymap
   let toolbar = config.toolbar
   let help = config.toolbar.help
   let items = []
+  let styleItem = (nodeType, style, name, label, attrs) => {
+    let { command, enable } = commands.get(name)
+    return new ParagraphStyleItem(nodeType, style, { label, keymap: baseKeyString(name, keymap), attrs, run: command, enable })
+  }
   let { p, h1, h2, h3, h4, h5, h6, pre } = toolbar.styleMenu;
-  if (p) items.push(new ParagraphStyleItem(schema.nodes.paragraph, 'P', { label: p, keymap: baseKeyString('p', keymap) }))
-  if (h1) items.push(new ParagraphStyleItem(schema.nodes.heading, 'H1', { label: h1, keymap: baseKeyString('h1', keymap), attrs: { level: 1 }}))
-  if (h2) items.push(new ParagraphStyleItem(schema.nodes.heading, 'H2', { label: h2, keymap: baseKeyString('h2', keymap), attrs: { level: 2 }}))
-  if (h3) items.push(new ParagraphStyleItem(schema.nodes.heading, 'H3', { label: h3, keymap: baseKeyString('h3', keymap), attrs: { level: 3 }}))
-  if (h4) items.push(new ParagraphStyleItem(schema.nodes.heading, 'H4', { label: h4, keymap: baseKeyString('h4', keymap), attrs: { level: 4 }}))
-  if (h5) items.push(new ParagraphStyleItem(schema.nodes.heading, 'H5', { label: h5, keymap: baseKeyString('h5', keymap), attrs: { level: 5 }}))
-  if (h6) items.push(new ParagraphStyleItem(schema.nodes.heading, 'H6', { label: h6, keymap: baseKeyString('h6', keymap), attrs: { level: 6 }}))
+  if (p) items.push(styleItem(schema.nodes.paragraph, 'P', 'p', p))
+  if (h1) items.push(styleItem(schema.nodes.heading, 'H1', 'h1', h1, { level: 1 }))
+  if (h2) items.push(styleItem(schema.nodes.heading, 'H2', 'h2', h2, { level: 2 }))
+  if (h3) items.push(styleItem(schema.nodes.heading, 'H3', 'h3', h3, { level: 3 }))
+  if (h4) items.push(styleItem(schema.nodes.heading, 'H4', 'h4', h4, { level: 4 }))
+  if (h5) items.push(styleItem(schema.nodes.heading, 'H5', 'h5', h5, { level: 5 }))
+  if (h6) items.push(styleItem(schema.nodes.heading, 'H6', 'h6', h6, { level: 6 }))
   if (pre) {
     if (config.behavior.highlightCode) {
       items.push(codeLanguageSubmenu(config, pre))
     } else {
-      items.push(new ParagraphStyleItem(schema.nodes.code_block, 'PRE', { label: pre, keymap: baseKeyString('pre', keymap) }))
+      items.push(styleItem(schema.nodes.code_block, 'PRE', 'pre', pre))
     }
   }
   if (toolbar.menus.styleName) {
@@ -382,4 +920,4 @@ function styleMenuItems(config, schema) {
   } else {
     return [new Dropdown(items, { title: help.style, icon: toolbar.icons.paragraphStyle })]
   }
-}
\ No newline at end of file
+}
@@ -36,6 +36,9 @@ import {
     callbackSelectImage,
     selectionChanged,
     setCodeLanguageCommand,
+    setListStartCommand,
+    getListAttributes,
+    stateChanged,
 } from "../markup"
 import { activeView, setActiveView } from "../registry"
 import { ToolbarConfig } from "../config/toolbarconfig";
@@ -440,6 +443,42 @@ export class ParagraphStyleItem {
   }
 }
 
+/**
+ * A number input in the list properties Dropdown for the start of the ordered list 
+ * holding the selection. It's hidden unless the selection is in an ordered list. 
+ * Unlike a MenuItem, pressing it doesn't run a command, so the input can take focus 
+ * without closing the Dropdown. Changing the value runs `setListStartCommand`.
+ * 
+ * @private
+ */
+export class ListStartItem {
+
+  constructor(options = {}) {
+    this.prefix = prefix + "-menuitem"
+    this.options = options
+  }
+
+  render(view) {
+    let input = crel('input', { type: 'number', class: this.prefix + '-liststart' })
+    let label = translate(view, this.options.label ?? 'Start') + ' '
+    let dom = crel('div', null, label, input)
+    if (this.options.title) dom.setAttribute('title', translate(view, this.options.title))
+    dom.addEventListener('mousedown', e => { markMenuEvent(e) })
+    input.addEventListener('change', () => {
+      let command = setListStartCommand(Number(input.value))
+      if (command(view.state, view.dispatch, view)) stateChanged(view)
+    })
+
+    function update(state) {
+      let start = getListAttributes(state)?.start ?? null
+      if (start === null) return false
+      if (input.value !== String(start)) input.value = start
+      return true
+    }
+    return { dom, update }
+  }
+}
+
 /**
  * DialogItem provides common functionality for MenuItems that present dialogs next to 
  * a selection, such as LinkItem and ImageItem. The shared functionality mainly deals 
@@ -1290,7 +1329,7 @@ export class ImageItem extends DialogItem {
     // You would think that an element could be positioned by specifying right and bottom, but 
     // apparently not. Even when width is fixed, specifying right doesn't work. The values below
     // are dependent on toolbar.css for .Markup-prompt-image.
-    this.dialogHeight = 134;
+    this.dialogHeight = 196;
     this.dialogWidth = 317;
   }
 
@@ -1300,9 +1339,11 @@ export class ImageItem extends DialogItem {
    * @param {EditorView} view 
    */
   createDialog(view) {
-    let {src, alt} = getImageAttributes(view.state);
+    let {src, alt, caption, align} = getImageAttributes(view.state);
     this.src = src   // src for the selected image, undefined if there is no image at selection
     this.alt = alt
+    this.caption = caption ?? null  // null unless the selected image is in a figure
+    this.align = align ?? 'inline'
 
     // Set selectionDivRect that surrounds the selection
     this.selectionDivRect = this.getSelectionDivRect()
@@ -1363,41 +1404,62 @@ export class ImageItem extends DialogItem {
       // "Not allowed to load local resource" at every keystroke until the image loads properly.
       this.updatePreview()
     });
-    this.srcArea.addEventListener('keydown', e => {   // Use keydown because 'input' isn't triggered for Enter
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        if (this.isValid) {
-          this.insertImage(view.state, view.dispatch, view);
-        } else {
-          this.closeDialog()
-        }
-      } else if (e.key === 'Tab') {
-        e.preventDefault();
-        this.altArea.focus();
-      } else if (e.key === 'Escape') {
-        this.closeDialog()
-      }
-    })
+    this.srcArea.addEventListener('keydown', e => { this.handleKeydown(e, view, this.altArea) })
     this.dialog.appendChild(this.srcArea)
 
     this.altArea = crel('input', { type: 'text', placeholder: 'Enter description...' })
     this.altArea.value = this.alt ?? '';
-    this.altArea.addEventListener('keydown', e => {   // Use keydown because 'input' isn't triggered for Enter
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        if (this.isValid) {
-          this.insertImage(view.state, view.dispatch, view);
-        } else {
-          this.closeDialog()
-        }
-      } else if (e.key === 'Tab') {
-        e.preventDefault();
-        this.srcArea.focus();
-      } else if (e.key === 'Escape') {
+    this.altArea.addEventListener('keydown', e => { this.handleKeydown(e, view, this.captionArea) })
+    this.dialog.appendChild(this.altArea)
+
+    this.captionArea = crel('input', { type: 'text', placeholder: 'Enter caption...' })
+    this.captionArea.value = this.caption ?? '';
+    this.captionArea.addEventListener('input', () => {
+      // A caption only makes sense in a figure
+      if (this.captionArea.value.length > 0) this.figureCheckbox.checked = true
+    });
+    this.captionArea.addEventListener('keydown', e => { this.handleKeydown(e, view, this.srcArea) })
+    this.dialog.appendChild(this.captionArea)
+
+    this.figureCheckbox = crel('input', { type: 'checkbox' })
+    this.figureCheckbox.checked = this.caption !== null
+
+    this.alignSelect = crel('select')
+    const alignLabels = { inline: 'Inline', left: 'Left', center: 'Center', right: 'Right' }
+    for (const [align, label] of Object.entries(alignLabels)) {
+      this.alignSelect.appendChild(crel('option', { value: align }, label))
+    }
+    this.alignSelect.value = this.align
+
+    this.dialog.appendChild(crel('div', { class: prefix + '-prompt-options' },
+      crel('label', { class: prefix + '-prompt-checkbox' }, this.figureCheckbox, 'Wrap in figure'),
+      crel('label', { class: prefix + '-prompt-select' }, 'Align', this.alignSelect)
+    ))
+  }
+
+  /**
+   * Handle keydown in the input areas, using keydown because 'input' isn't triggered for Enter.
+   * 
+   * Enter performs the command of the active button, either OK or Cancel. Tab moves to `nextArea`.
+   * 
+   * @param {KeyboardEvent}     e 
+   * @param {EditorView}        view 
+   * @param {HTMLInputElement}  nextArea  The input element to focus on Tab
+   */
+  handleKeydown(e, view, nextArea) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (this.isValid) {
+        this.insertImage(view.state, view.dispatch, view);
+      } else {
         this.closeDialog()
       }
-    })
-    this.dialog.appendChild(this.altArea)
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      nextArea.focus();
+    } else if (e.key === 'Escape') {
+      this.closeDialog()
+    }
   }
 
   /**
@@ -1514,6 +1576,22 @@ export class ImageItem extends DialogItem {
     return this.altArea.value
   }
 
+  /**
+   * Return the selected alignment, one of "inline", "left", "center", or "right".
+   * @returns {string}
+   */
+  alignValue() {
+    return this.alignSelect.value
+  }
+
+  /**
+   * Return the caption if the image should be in a figure, else null.
+   * @returns {string | null}
+   */
+  captionValue() {
+    return this.figureCheckbox.checked ? this.captionArea.value : null
+  }
+
   /** 
    * Call back to the messageHandler after closing the dialog. The message handler should 
    * let the delegate deal with bringing up a file picker of some kind.
@@ -1534,7 +1612,9 @@ export class ImageItem extends DialogItem {
   insertImage(state, dispatch, view) {
     let newSrc = this.srcValue();
     let newAlt = this.altValue();
-    let command = (this.src) ? modifyImageCommand(newSrc, newAlt) : insertImageCommand(newSrc, newAlt);
+    let newCaption = this.captionValue();
+    let newAlign = this.alignValue();
+    let command = (this.src) ? modifyImageCommand(newSrc, newAlt, newCaption, newAlign) : insertImageCommand(newSrc, newAlt, newCaption, newAlign);
     let result = command(view.state, view.dispatch, view);
     if (result) this.closeDialog();
   }
@@ -1981,6 +2061,30 @@ export function cmdItem(cmd, options) {
   return new MenuItem(passedOptions)
 }
 
+/**
+ * Return a MenuItem that runs the command when selected, shown as a color swatch next 
+ * to its `label`.
+ * 
+ * The swatch shows the `light` or `dark` variant of `colors` depending on the color scheme, 
+ * the same as the toolbar `appearance` colors.
+ * @param {Command}     cmd       A ProseMirror [Command](https://prosemirror.net/docs/ref/#state.Command)
+ * @param {object}      colors    An object with `light` and `dark` CSS colors
+ * @param {object}      options   The spec for the MenuItem, which must include `label`
+ * @returns {MenuItem}
+ */
+export function swatchItem(cmd, colors, options) {
+  let passedOptions = {
+    run: cmd,
+    render: () => {
+      let style = `--Markup-swatch-light: ${colors.light}; --Markup-swatch-dark: ${colors.dark}`
+      let swatch = crel("span", { class: prefix + "-swatch", style: style })
+      return crel("div", { class: prefix + "-swatchlabel" }, swatch, options.label)
+    }
+  }
+  for (let prop in options) passedOptions[prop] = options[prop]
+  return new MenuItem(passedOptions)
+}
+
 /** 
  * Return a span for a separator between groups of MenuItems
  * 
@@ -0,0 +1,171 @@
+import crel from "crelt"
+import {prefix, getToolbar} from "../domaccess.js"
+import {setClass} from "../utilities.js"
+import {stateChanged} from "../markup.js"
+
+/**
+ * Return how well `query` fuzzily matches `text`, with lower being better, or null if it
+ * doesn't match. It matches when the characters of `query`, ignoring whitespace and case,
+ * are found in order in `text`. Characters that follow each other in `text` cost nothing,
+ * skipping to the start of a word costs a little, and skipping within a word costs the
+ * number of characters skipped.
+ *
+ * @ignore
+ * @param {string}  query
+ * @param {string}  text
+ * @returns {number | null}
+ */
+export function fuzzyScore(query, text) {
+  const chars = query.toLowerCase().replace(/\s+/g, '')
+  const lower = text.toLowerCase()
+  let score = 0, last = -1
+  for (const char of chars) {
+    const index = lower.indexOf(char, last + 1)
+    if (index < 0) return null
+    if (index > last + 1) {
+      const wordStart = (index === 0) || /[^a-z0-9]/.test(lower[index - 1])
+      score += wordStart ? 1 : index - last
+    }
+    last = index
+  }
+  return score
+}
+
+/**
+ * Return the best score of `entry` for `query`, matching its label ahead of its keywords.
+ */
+function entryScore(entry, query) {
+  const scores = [fuzzyScore(query, entry.label)]
+  for (const keyword of entry.keywords) {
+    const score = fuzzyScore(query, keyword)
+    scores.push((score === null) ? null : score + 1)
+  }
+  const found = scores.filter(score => score !== null)
+  return (found.length > 0) ? Math.min(...found) : null
+}
+
+/**
+ * The CommandPalette shows a text input over the editor that fuzzy-searches the entries
+ * from `buildPaletteCommands`, best match first, with the shortcut for each. Like a MenuItem,
+ * an entry is disabled when its `enable` function fails for the state when the palette opened.
+ *
+ * ArrowUp and ArrowDown select among the enabled matches, and Enter or clicking runs one
+ * after closing the palette. Escape or leaving the input closes it, returning focus to
+ * the editor.
+ *
+ * The `command` opens the palette, so it can be bound to a key like other Commands.
+ */
+export class CommandPalette {
+
+  constructor(commands) {
+    this.commands = commands
+    this.dom = null
+    this.command = this.openPalette.bind(this)
+  }
+
+  /**
+   * Open the palette over `view`, listing all the entries.
+   *
+   * @param {EditorState} state
+   * @param {Function}    dispatch
+   * @param {EditorView}  view
+   * @returns {boolean}   Always true, since there's always something to search.
+   */
+  openPalette(state, dispatch, view) {
+    if (!dispatch || !view) return true
+    this.closePalette()
+    this.view = view
+    this.entries = this.commands().map(entry => ({entry, enabled: !!entry.enable(state)}))
+    this.input = crel('input', {type: 'text', class: prefix + '-palette-input', placeholder: 'Search commands'})
+    this.list = crel('div', {class: prefix + '-palette-list'})
+    this.dom = crel('div', {class: prefix + '-palette', contenteditable: 'false'}, this.input, this.list)
+    this.input.addEventListener('input', () => this.filter())
+    this.input.addEventListener('keydown', e => this.handleKeyDown(e))
+    this.input.addEventListener('blur', () => this.closePalette())
+    const wrapper = view.dom.parentElement
+    const toolbarHeight = getToolbar(view)?.getBoundingClientRect().height ?? 0
+    this.dom.style.top = (wrapper.scrollTop + toolbarHeight + 8) + 'px'
+    wrapper.appendChild(this.dom)
+    this.filter()
+    this.input.focus()
+    return true
+  }
+
+  /** Remove the palette if it's showing, without returning focus to the editor. */
+  closePalette() {
+    if (!this.dom) return
+    const dom = this.dom
+    this.dom = null   // Before removing, which blurs the input and calls back here
+    dom.remove()
+  }
+
+  /** Show the entries that match the input, best first, selecting the first enabled one. */
+  filter() {
+    const query = this.input.value.trim()
+    let matches = this.entries
+      .map((item, index) => ({...item, index, score: query ? entryScore(item.entry, query) : 0}))
+      .filter(item => item.score !== null)
+    matches.sort((a, b) => (a.score - b.score) || (a.index - b.index))
+    this.matches = matches
+    this.selected = matches.findIndex(item => item.enabled)
+    this.render()
+  }
+
+  render() {
+    const items = this.matches.map((item, index) => {
+      const dom = crel('div', {class: prefix + '-palette-item'},
+        crel('span', item.entry.label),
+        crel('span', {class: prefix + '-palette-keymap'}, item.entry.keymap)
+      )
+      setClass(dom, prefix + '-menuitem-disabled', !item.enabled)
+      setClass(dom, prefix + '-palette-selected', index === this.selected)
+      dom.addEventListener('mousedown', e => {
+        e.preventDefault()
+        if (item.enabled) this.run(item.entry)
+      })
+      return dom
+    })
+    this.list.replaceChildren(...items)
+    this.list.children[this.selected]?.scrollIntoView?.({block: 'nearest'})
+  }
+
+  /** Select the next enabled match in the direction of `step`, wrapping around. */
+  select(step) {
+    const count = this.matches.length
+    for (let i = 1; i <= count; i++) {
+      const index = (this.selected + step * i + count) % count
+      if (this.matches[index].enabled) {
+        this.selected = index
+        break
+      }
+    }
+    this.render()
+  }
+
+  handleKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (this.selected >= 0) this.select((event.key === 'ArrowDown') ? 1 : -1)
+        break
+      case 'Enter':
+        if (this.selected >= 0) this.run(this.matches[this.selected].entry)
+        break
+      case 'Escape':
+        this.closePalette()
+        this.view.focus()
+        break
+      default:
+        return
+    }
+    event.preventDefault()
+  }
+
+  /** Close the palette and run the command of `entry` in the editor. */
+  run(entry) {
+    const view = this.view
+    this.closePalette()
+    view.focus()
+    if (entry.command(view.state, view.dispatch, view)) stateChanged(view)
+  }
+}
@@ -0,0 +1,184 @@
+import crel from "crelt"
+import {Plugin, PluginKey} from "prosemirror-state"
+import {prefix} from "../domaccess.js"
+import {stateChanged} from "../markup.js"
+
+/**
+ * The key for the slash menu's plugin state, which is null when the menu is closed,
+ * or else holds the position `from` of the `/` that opened it and the `index` of the
+ * selected entry.
+ *
+ * @ignore
+ */
+export const slashMenuKey = new PluginKey('slashMenu')
+
+/**
+ * Return the text typed after the `/` of the open menu in `state`, or null if it's closed.
+ *
+ * @ignore
+ */
+export function slashMenuQuery(state) {
+  const menu = slashMenuKey.getState(state)
+  if (!menu) return null
+  return state.doc.textBetween(menu.from + 1, state.selection.head)
+}
+
+/**
+ * Return whether `entry` matches `query`, which it does when each of the words in `query`
+ * is found in its label or keywords, regardless of case.
+ */
+function matchesQuery(entry, query) {
+  const text = [entry.label, ...entry.keywords].join(' ').toLowerCase()
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word))
+}
+
+/**
+ * Return the entries of `commands` that match the query of the open menu in `state` and
+ * are enabled for it.
+ *
+ * @ignore
+ */
+export function slashMenuMatches(state, commands) {
+  const query = slashMenuQuery(state)
+  if (query === null) return []
+  // Check enable without the "/query" text, which is removed before the command runs
+  const menu = slashMenuKey.getState(state)
+  const cleared = state.apply(state.tr.delete(menu.from, state.selection.head))
+  return commands(query, state).filter(entry => matchesQuery(entry, query) && entry.enable(cleared))
+}
+
+/**
+ * Return the state of the menu after `tr`, which stays open while the selection is in the
+ * text that follows the `/` in the same textblock.
+ */
+function applyMenu(tr, menu, state) {
+  const meta = tr.getMeta(slashMenuKey)
+  if (meta?.open !== undefined) return {from: meta.open, index: 0}
+  if (!menu || meta?.close) return null
+  const from = tr.mapping.map(menu.from)
+  const {$head, empty} = state.selection
+  const inQuery = empty && ($head.pos > from) && ($head.start() <= from) && ($head.pos <= $head.end())
+  if (!inQuery || (state.doc.textBetween(from, from + 1) !== '/')) return null
+  if (meta?.index !== undefined) return {from, index: meta.index}
+  return {from, index: tr.docChanged ? 0 : menu.index}
+}
+
+/**
+ * Delete the "/query" text, close the menu, and run the command of `entry`.
+ */
+function runEntry(view, entry) {
+  const menu = slashMenuKey.getState(view.state)
+  view.dispatch(view.state.tr.delete(menu.from, view.state.selection.head).setMeta(slashMenuKey, {close: true}))
+  if (entry.command(view.state, view.dispatch, view)) stateChanged(view)
+  view.focus()
+}
+
+/**
+ * The popup that shows the matching entries below the `/` that opened the menu. Clicking
+ * on an entry runs it.
+ */
+class SlashMenuView {
+
+  constructor(view, commands) {
+    this.commands = commands
+    this.dom = null
+    this.update(view)
+  }
+
+  update(view) {
+    const menu = slashMenuKey.getState(view.state)
+    const matches = menu ? slashMenuMatches(view.state, this.commands) : []
+    if (matches.length === 0) return this.destroy()
+    if (!this.dom) {
+      this.dom = crel('div', {class: prefix + '-slashmenu', contenteditable: 'false'})
+      view.dom.parentElement.appendChild(this.dom)
+    }
+    const index = Math.min(menu.index, matches.length - 1)
+    const items = matches.map((entry, i) => {
+      const item = crel('div', {class: prefix + '-slashmenu-item'},
+        crel('span', entry.label),
+        crel('span', {class: prefix + '-slashmenu-keymap'}, entry.keymap ?? '')
+      )
+      if (i === index) item.classList.add(prefix + '-slashmenu-selected')
+      item.addEventListener('mousedown', e => {
+        e.preventDefault()
+        runEntry(view, entry)
+      })
+      return item
+    })
+    this.dom.replaceChildren(...items)
+    this.setLocation(view, menu.from)
+  }
+
+  /** Position the popup below the `/` at `from`, within the wrapper that scrolls the editor. */
+  setLocation(view, from) {
+    const wrapper = view.dom.parentElement
+    const wrapperRect = wrapper.getBoundingClientRect()
+    const coords = view.coordsAtPos(from)
+    this.dom.style.top = (coords.bottom + wrapper.scrollTop - wrapperRect.top + 4) + 'px'
+    this.dom.style.left = (coords.left - wrapperRect.left) + 'px'
+  }
+
+  destroy() {
+    this.dom?.remove()
+    this.dom = null
+  }
+}
+
+/**
+ * Return a Plugin that opens a menu of `commands` when `/` is typed at the start of an
+ * empty paragraph. The text typed after the `/` filters the entries, ArrowUp and ArrowDown
+ * select one, and Enter or Tab runs it in place of the "/query" text. Escape closes the menu,
+ * leaving the text as it is, and so does moving the selection out of it.
+ *
+ * @ignore
+ * @param {Function(string, EditorState): Array<Object>} commands  Returns the entries for a query, from `buildSlashCommands`.
+ * @returns {Plugin}
+ */
+export function slashMenuPlugin(commands) {
+  return new Plugin({
+    key: slashMenuKey,
+    state: {
+      init() { return null },
+      apply(tr, menu, oldState, newState) { return applyMenu(tr, menu, newState) }
+    },
+    view(editorView) {
+      return new SlashMenuView(editorView, commands)
+    },
+    props: {
+      handleTextInput(view, from, to, text) {
+        if ((text !== '/') || (from !== to) || slashMenuKey.getState(view.state)) return false
+        const $from = view.state.doc.resolve(from)
+        if (($from.parent.type !== view.state.schema.nodes.paragraph) || ($from.parent.content.size > 0)) return false
+        view.dispatch(view.state.tr.insertText(text, from, to).setMeta(slashMenuKey, {open: from}))
+        return true
+      },
+      handleKeyDown(view, event) {
+        const menu = slashMenuKey.getState(view.state)
+        if (!menu) return false
+        if (event.key === 'Escape') {
+          view.dispatch(view.state.tr.setMeta(slashMenuKey, {close: true}))
+          return true
+        }
+        const matches = slashMenuMatches(view.state, commands)
+        if (matches.length === 0) return false
+        const index = Math.min(menu.index, matches.length - 1)
+        switch (event.key) {
+          case 'ArrowDown':
+          case 'ArrowUp': {
+            const step = (event.key === 'ArrowDown') ? 1 : -1
+            const next = (index + step + matches.length) % matches.length
+            view.dispatch(view.state.tr.setMeta(slashMenuKey, {index: next}))
+            return true
+          }
+          case 'Enter':
+          case 'Tab':
+            runEntry(view, matches[index])
+            return true
+          default:
+            return false
+        }
+      }
+    }
+  })
+}
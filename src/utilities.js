@@ -23,3 +23,50 @@ export function setClass(dom, cls, on) {
         dom.classList.remove(cls);
 }
 
+/**
+ * Do a depth-first traversal from node, removing spans starting at the leaf nodes.
+ * 
+ * @returns {number}    The number of spans removed
+ */
+export function cleanUpSpansWithin(node, spansRemoved) {
+    return _cleanUpSpansDivsWithin(node, 'SPAN', spansRemoved);
+}
+
+/**
+ * Do a depth-first traversal from node, removing divs starting at the leaf nodes.
+ * 
+ * @returns {number}    The number of divs removed
+ */
+export function cleanUpDivsWithin(node, divsRemoved) {
+    return _cleanUpSpansDivsWithin(node, 'DIV', divsRemoved);
+}
+
+/**
+ * Do a depth-first traversal from node, removing divs/spans starting at the leaf nodes.
+ * 
+ * @returns {number}    The number of divs/spans removed
+ */
+function _cleanUpSpansDivsWithin(node, type, removed) {
+    removed = removed ?? 0;
+    // Nested span/divs show up as children of a span/div.
+    const children = node.children;
+    let child = (children.length > 0) ? children[0] : null;
+    while (child) {
+        let nextChild = child.nextElementSibling;
+        removed = _cleanUpSpansDivsWithin(child, type, removed);
+        child = nextChild;
+    };
+    // A span with data-color is the color mark, not something to clean up
+    if ((node.nodeName === type) && !node.hasAttribute('data-color')) {
+        removed++;
+        if (node.childNodes.length > 0) {   // Use childNodes because we need text nodes
+            const template = document.createElement('template');
+            template.innerHTML = node.innerHTML;
+            const newElement = template.content;
+            node.replaceWith(newElement);
+        } else {
+            node.parentNode.removeChild(node);
+        };
+    };
+    return removed;
+}
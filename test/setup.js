@@ -4,7 +4,26 @@ import {MU} from '../dist/markup-editor.js'
 
 export {MU, HtmlTestSuite}
 
+// The behavior for all tests. Suites that test an opt-in behavior add it using setDocumentWith.
+const sharedBehavior = {"focusAfterLoad": false, "selectImage": false, "insertLink": false, "insertImage": false}
+
+/**
+ * Set up the document with a MarkupEditor that has the behavior shared by all tests.
+ * Pass this to `beforeAll`, which passes it the suite, so it takes no arguments.
+ */
 export async function setDocument() {
+    await setDocumentWith()
+}
+
+/**
+ * Set up the document with a MarkupEditor whose behavior adds `behavior` to the 
+ * behavior shared by all tests, so a suite can turn on what it tests, like this: 
+ * 
+ *      beforeAll(() => setDocumentWith({"smartTypography": true}))
+ * 
+ * @param {object} behavior Behavior config to use in addition to the shared behavior.
+ */
+export async function setDocumentWith(behavior = {}) {
 
     // When testing using JSDOM, we see 
     //      TypeError: target.getClientRects is not a function
@@ -23,7 +42,7 @@ export async function setDocument() {
     <!DOCTYPE html>
     <html>
         <body>
-            <markup-editor behavior='{"focusAfterLoad": false, "selectImage": false, "insertLink": false, "insertImage": false}'></markup-editor>
+            <markup-editor behavior='${JSON.stringify({...sharedBehavior, ...behavior})}'></markup-editor>
             <script type="module" src="../dist/markup-editor.js"></script>
         </body>
     </html>`